@@ -0,0 +1,218 @@
+/**
+ * American Option Pricing Model
+ * Cox-Ross-Rubinstein binomial tree with a European control variate
+ * Exposes the same price/Greeks interface as BlackScholes
+ * Discrete dividends: the tree is built on the escrowed spot and the PV of
+ * dividends still to come is added back at each node when testing exercise,
+ * which captures early exercise of calls just before an ex-date
+ */
+
+const AmericanOption = {
+    // Tree depth - enough for sub-cent accuracy on typical listed options
+    steps: 200,
+
+    /**
+     * Build the binomial tree and read price and tree Greeks off it
+     * Prices the American and European contracts on the same tree so the
+     * European tree error can be removed using the Black-Scholes value.
+     * @param {string} type - 'call' or 'put'
+     * @param {number} S - Current stock price
+     * @param {number} K - Strike price
+     * @param {number} T - Time to expiration (in years)
+     * @param {number} r - Risk-free interest rate (decimal)
+     * @param {number} sigma - Volatility (decimal)
+     * @param {number} q - Dividend yield (decimal)
+     * @param {Array} dividends - Optional discrete cash dividends [{ t, amount }]
+     * @param {number} steps - Number of tree steps
+     */
+    buildTree(type, S, K, T, r, sigma, q = 0, dividends = null, steps = this.steps) {
+        const spot = S;
+        S = BlackScholes.adjustedSpot(S, T, r, dividends);
+        const pending = (dividends || []).filter(div => div.t > 0 && div.t <= T);
+
+        // PV at time t of dividends that have not gone ex yet
+        const remainingPV = (t) => pending.reduce((sum, div) =>
+            div.t > t ? sum + div.amount * Math.exp(-r * (div.t - t)) : sum, 0);
+
+        const dt = T / steps;
+        const u = Math.exp(sigma * Math.sqrt(dt));
+        const d = 1 / u;
+        const disc = Math.exp(-r * dt);
+        const p = (Math.exp((r - q) * dt) - d) / (u - d);
+        const sign = type === 'call' ? 1 : -1;
+
+        const amer = new Float64Array(steps + 1);
+        const euro = new Float64Array(steps + 1);
+
+        // Payoff at expiration
+        for (let j = 0; j <= steps; j++) {
+            const ST = S * Math.pow(u, j) * Math.pow(d, steps - j);
+            amer[j] = Math.max(0, sign * (ST - K));
+            euro[j] = amer[j];
+        }
+
+        // Node values kept for Greeks: level 2 (3 nodes) and level 1 (2 nodes)
+        const level2 = { amer: [], euro: [] };
+        const level1 = { amer: [], euro: [] };
+
+        for (let i = steps - 1; i >= 0; i--) {
+            const addBack = pending.length > 0 ? remainingPV(i * dt) : 0;
+
+            for (let j = 0; j <= i; j++) {
+                const Sij = S * Math.pow(u, j) * Math.pow(d, i - j) + addBack;
+                const continuation = disc * (p * amer[j + 1] + (1 - p) * amer[j]);
+                amer[j] = Math.max(continuation, sign * (Sij - K));
+                euro[j] = disc * (p * euro[j + 1] + (1 - p) * euro[j]);
+            }
+
+            if (i === 2) {
+                level2.amer = [amer[0], amer[1], amer[2]];
+                level2.euro = [euro[0], euro[1], euro[2]];
+            } else if (i === 1) {
+                level1.amer = [amer[0], amer[1]];
+                level1.euro = [euro[0], euro[1]];
+            }
+        }
+
+        const readGreeks = (v0, v1, v2) => {
+            const Su = S * u, Sd = S * d;
+            const Suu = S * u * u, Sdd = S * d * d;
+            const delta = (v1[1] - v1[0]) / (Su - Sd);
+            const deltaUp = (v2[2] - v2[1]) / (Suu - S);
+            const deltaDown = (v2[1] - v2[0]) / (S - Sdd);
+            const gamma = (deltaUp - deltaDown) / (0.5 * (Suu - Sdd));
+            const theta = (v2[1] - v0) / (2 * dt);
+            return { price: v0, delta, gamma, theta };
+        };
+
+        return {
+            american: readGreeks(amer[0], level1.amer, level2.amer),
+            european: readGreeks(euro[0], level1.euro, level2.euro),
+            exerciseNow: sign * (spot - K) > 0 && amer[0] <= sign * (spot - K) + 1e-12
+        };
+    },
+
+    /**
+     * Price and tree Greeks with the control variate applied
+     * Returns annual theta; callers scale it like BlackScholes.theta
+     */
+    treeValues(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        const tree = this.buildTree(type, S, K, T, r, sigma, q, dividends);
+        const { american, european } = tree;
+
+        const bsPrice = BlackScholes.price(type, S, K, T, r, sigma, q, dividends);
+        const bsDelta = BlackScholes.delta(type, S, K, T, r, sigma, q, dividends);
+        const bsGamma = BlackScholes.gamma(type, S, K, T, r, sigma, q, dividends);
+        const bsTheta = BlackScholes.theta(type, S, K, T, r, sigma, q, dividends) * 365;
+
+        // An American option is never worth less than exercising it now
+        const intrinsic = BlackScholes.intrinsicValue(type, S, K);
+
+        return {
+            price: Math.max(intrinsic, american.price - european.price + bsPrice),
+            delta: american.delta - european.delta + bsDelta,
+            gamma: american.gamma - european.gamma + bsGamma,
+            theta: american.theta - european.theta + bsTheta,
+            exerciseNow: tree.exerciseNow
+        };
+    },
+
+    /**
+     * Calculate option price
+     */
+    price(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return BlackScholes.intrinsicValue(type, S, K);
+        return this.treeValues(type, S, K, T, r, sigma, q, dividends).price;
+    },
+
+    /**
+     * Calculate Delta from the tree
+     */
+    delta(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return BlackScholes.delta(type, S, K, T, r, sigma, q, dividends);
+        return this.treeValues(type, S, K, T, r, sigma, q, dividends).delta;
+    },
+
+    /**
+     * Calculate Gamma from the tree
+     */
+    gamma(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+        return this.treeValues(type, S, K, T, r, sigma, q, dividends).gamma;
+    },
+
+    /**
+     * Calculate Theta from the tree
+     * Returns daily theta (divide annual by 365)
+     */
+    theta(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+        return this.treeValues(type, S, K, T, r, sigma, q, dividends).theta / 365;
+    },
+
+    /**
+     * Calculate Vega by central difference
+     * Returns vega per 1% change in volatility
+     */
+    vega(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+        const h = Math.min(0.01, sigma / 2);
+        const up = this.price(type, S, K, T, r, sigma + h, q, dividends);
+        const down = this.price(type, S, K, T, r, sigma - h, q, dividends);
+        return (up - down) / (2 * h) / 100;
+    },
+
+    /**
+     * Calculate Rho by central difference
+     * Returns rho per 1% change in interest rate
+     */
+    rho(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+        const h = 0.0001;
+        const up = this.price(type, S, K, T, r + h, sigma, q, dividends);
+        const down = this.price(type, S, K, T, r - h, sigma, q, dividends);
+        return (up - down) / (2 * h) / 100;
+    },
+
+    /**
+     * Calculate all Greeks at once
+     * Same shape as BlackScholes.calculateAll, plus early-exercise details
+     */
+    calculateAll(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) {
+            return Object.assign(BlackScholes.calculateAll(type, S, K, T, r, sigma, q, dividends), {
+                earlyExercisePremium: 0,
+                exerciseNow: false
+            });
+        }
+
+        const values = this.treeValues(type, S, K, T, r, sigma, q, dividends);
+        const europeanPrice = BlackScholes.price(type, S, K, T, r, sigma, q, dividends);
+
+        return {
+            price: values.price,
+            delta: values.delta,
+            gamma: values.gamma,
+            theta: values.theta / 365,
+            vega: this.vega(type, S, K, T, r, sigma, q, dividends),
+            rho: this.rho(type, S, K, T, r, sigma, q, dividends),
+            earlyExercisePremium: Math.max(0, values.price - europeanPrice),
+            exerciseNow: values.exerciseNow
+        };
+    },
+
+    /**
+     * Value of the right to exercise early (American - European)
+     */
+    earlyExercisePremium(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+        const american = this.price(type, S, K, T, r, sigma, q, dividends);
+        const european = BlackScholes.price(type, S, K, T, r, sigma, q, dividends);
+        return Math.max(0, american - european);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AmericanOption;
+}
@@ -4,12 +4,6 @@
  * All data from MarketData.app API
  */
 
-// Proxy configuration — points at Cloudflare Worker, not MarketData.app directly
-const MARKETDATA_API = {
-    baseUrl: 'https://marketdata-proxy.rpgrealtimemarketdata.workers.dev/v1',
-    get token() { return sessionStorage.getItem('site_access_token') || ''; }
-};
-
 function saveApiToken(token) {
     sessionStorage.setItem('site_access_token', token.trim());
 }
@@ -33,7 +27,10 @@ function hideApiKeySection() {
 function submitApiKey() {
     const input = document.getElementById('api-key-input').value.trim();
     if (!input) { alert('Please enter the site password.'); return; }
+    document.getElementById('api-key-error').style.display = 'none';
     saveApiToken(input);
+    // A fresh attempt gets its own auth-failure prompt, even with the same password
+    MarketDataApp.authFailedToken = null;
     hideApiKeySection();
     init();
 }
@@ -43,6 +40,64 @@ function changeApiKey() {
     showApiKeySection();
 }
 
+/**
+ * The provider rejected the saved password - drop it and ask again
+ */
+function onApiAuthError(error) {
+    clearApiToken();
+    const errorEl = document.getElementById('api-key-error');
+    errorEl.textContent = error.message;
+    errorEl.style.display = 'block';
+    showApiKeySection();
+}
+
+/**
+ * Show API credit usage for this session from the provider's rate-limit headers
+ */
+function displayApiCredits(credits) {
+    const el = document.getElementById('api-credits');
+    if (!el) return;
+
+    let text = `API credits this session: ${credits.consumed.toLocaleString()} (${credits.requests.toLocaleString()} requests)`;
+    if (credits.remaining !== null) {
+        text += ` · ${credits.remaining.toLocaleString()}${credits.limit !== null ? ' of ' + credits.limit.toLocaleString() : ''} remaining`;
+    }
+    if (credits.resetAt) {
+        text += `, resets ${credits.resetAt.toLocaleString()}`;
+    }
+    el.textContent = text;
+}
+
+/**
+ * Switch market data provider and reload the current ticker from it
+ */
+function setDataProvider(id) {
+    MarketData.select(id);
+
+    if (MarketData.get().requiresToken && !MARKETDATA_API.token) {
+        showApiKeySection();
+        return;
+    }
+
+    document.getElementById('ticker').placeholder = id === 'fixture' ? 'e.g., DEMO' : 'e.g., AAPL';
+    if (currentTicker) {
+        const ticker = currentTicker;
+        currentTicker = '';
+        fetchMarketData(ticker);
+    }
+}
+
+/**
+ * Skip the password gate and run on the bundled offline fixtures
+ */
+function useOfflineData() {
+    MarketData.select('fixture');
+    hideApiKeySection();
+    init();
+    document.getElementById('ticker').value = 'DEMO';
+    fetchMarketData('DEMO');
+}
+
 // Application state
 let currentOptionType = 'put'; // Default to put for selling
 let currentTicker = '';
@@ -53,6 +108,8 @@ let currentDaysToMaturity = 0;
 let expirationDates = [];
 let strikePrices = [];
 let optionChainData = null;
+let currentOptionData = null;
+let currentPricingInputs = null; // Inputs behind the latest model outputs (for simulations)
 
 // Debounce timer
 let tickerDebounceTimer = null;
@@ -62,6 +119,7 @@ let tickerDebounceTimer = null;
  */
 async function setOptionType(type) {
     currentOptionType = type;
+    clearOptionQuote();
 
     // Update UI
     document.querySelectorAll('.option-type-selector .toggle-btn').forEach(btn => {
@@ -81,6 +139,15 @@ async function setOptionType(type) {
     }
 }
 
+/**
+ * Forget the fetched contract once the ticker, type, expiration or strike moves off it,
+ * so refreshPricing never reprices the old quote as the newly selected contract
+ */
+function clearOptionQuote() {
+    currentOptionData = null;
+    currentPricingInputs = null;
+}
+
 /**
  * Debounced ticker input handler
  */
@@ -102,26 +169,27 @@ function onTickerInput(e) {
 
 /**
  * Fetch all market data for a ticker
+ * @param {Object} options - Request options, e.g. { bypass: true } to skip the cache
  */
-async function fetchMarketData(ticker) {
+async function fetchMarketData(ticker, options = {}) {
     if (!ticker) {
         ticker = document.getElementById('ticker').value.trim().toUpperCase();
     }
 
     if (!ticker) return;
 
+    if (ticker !== currentTicker) {
+        clearOptionQuote();
+        VolSurface.reset();
+        renderVolSmile();
+    }
     currentTicker = ticker;
     const statusEl = document.getElementById('fetch-status');
 
     try {
         // Fetch stock quote
-        const stockData = await fetchStockQuote(ticker);
-        currentStockPrice = stockData.price;
-
-        // Update stock display
-        document.getElementById('stock-price-display').textContent = '$' + stockData.price.toFixed(2);
-        document.getElementById('stock-bid').textContent = stockData.bid ? '$' + stockData.bid.toFixed(2) : '--';
-        document.getElementById('stock-ask').textContent = stockData.ask ? '$' + stockData.ask.toFixed(2) : '--';
+        const stockData = await MarketData.getStockQuote(ticker, options);
+        displayStockQuote(stockData);
 
         // Update stock name
         const stockNameEl = document.getElementById('stock-name');
@@ -133,8 +201,25 @@ async function fetchMarketData(ticker) {
             stockNameEl.style.display = 'block';
         }
 
+        // Upcoming dividends and earnings (provider if available, manual entries otherwise)
+        Promise.all([DividendSchedule.fetch(ticker, options), EventCalendar.fetch(ticker, options)])
+            .then(onEventsChange)
+            .catch(error => {
+                if (ticker !== currentTicker) return;
+                // Don't leave the previous events on screen as if they were this ticker's
+                console.error('Error loading dividends and earnings:', error);
+                DividendSchedule.clear();
+                EventCalendar.clear();
+                onEventsChange();
+                statusEl.textContent = `Error loading dividends and earnings: ${error.message}`;
+                statusEl.className = 'status-message error';
+            });
+
         // Fetch expiration dates
-        await fetchExpirations(ticker);
+        await fetchExpirations(ticker, options);
+
+        // Realized vol and IV rank in the background - needs the expirations for ATM IV
+        VolatilityAnalytics.load(ticker, stockData.price, expirationDates, options);
 
         statusEl.textContent = `Loaded: ${ticker}`;
         statusEl.className = 'status-message success';
@@ -147,82 +232,77 @@ async function fetchMarketData(ticker) {
 }
 
 /**
- * Fetch stock quote from MarketData.app
+ * Show the underlying's price and bid/ask
  */
-async function fetchStockQuote(ticker) {
-    const url = `${MARKETDATA_API.baseUrl}/stocks/quotes/${ticker}/`;
-    console.log('Fetching stock quote from:', url);
-
-    const response = await fetch(url, {
-        headers: {
-            'Authorization': `Bearer ${MARKETDATA_API.token}`
-        }
-    });
+function displayStockQuote(stockData) {
+    currentStockPrice = stockData.price;
+    displayAsOf('stock-as-of', 'getStockQuote');
 
-    console.log('Stock quote response status:', response.status);
-
-    if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('Stock quote error:', errorData);
-        throw new Error(errorData.errmsg || `API request failed: ${response.status}`);
-    }
-
-    const data = await response.json();
-    console.log('Stock quote data:', data);
-
-    if (data.s !== 'ok') {
-        throw new Error(data.errmsg || 'No data available for this symbol');
-    }
-
-    // Get price - prefer last, fall back to mid of bid/ask
-    let price = null;
-    if (data.last && data.last[0]) {
-        price = data.last[0];
-    } else if (data.bid && data.ask && data.bid[0] && data.ask[0]) {
-        price = (data.bid[0] + data.ask[0]) / 2;
-    } else if (data.mid && data.mid[0]) {
-        price = data.mid[0];
-    }
+    document.getElementById('stock-price-display').textContent = '$' + stockData.price.toFixed(2);
+    document.getElementById('stock-bid').textContent = stockData.bid ? '$' + stockData.bid.toFixed(2) : '--';
+    document.getElementById('stock-ask').textContent = stockData.ask ? '$' + stockData.ask.toFixed(2) : '--';
+}
 
-    if (!price) {
-        throw new Error('No price data available for this symbol');
-    }
+/**
+ * Show when a piece of displayed data was fetched (and whether it came from the cache)
+ * @param {string} method - MarketData method whose last call fed the display
+ */
+function displayAsOf(elementId, method) {
+    const el = document.getElementById(elementId);
+    const asOf = MarketData.asOf[method];
+    if (!el || !asOf) return;
 
-    return {
-        price: price,
-        bid: data.bid ? data.bid[0] : null,
-        ask: data.ask ? data.ask[0] : null,
-        name: data.name ? data.name[0] : null
-    };
+    const sameDay = asOf.time.toDateString() === new Date().toDateString();
+    const when = sameDay ? asOf.time.toLocaleTimeString() : asOf.time.toLocaleString();
+    el.textContent = `As of ${when}${asOf.cached ? ' (cached)' : ''}`;
 }
 
 /**
- * Fetch expiration dates from MarketData.app
+ * Reload the ticker, strikes and loaded quote straight from the provider
+ * Keeps the selected expiration and strike
  */
-async function fetchExpirations(ticker) {
-    const url = `${MARKETDATA_API.baseUrl}/options/expirations/${ticker}/`;
-    console.log('Fetching expirations from:', url);
+async function refreshMarketData() {
+    const ticker = currentTicker || document.getElementById('ticker').value.trim().toUpperCase();
+    if (!ticker) return;
 
-    const response = await fetch(url, {
-        headers: {
-            'Authorization': `Bearer ${MARKETDATA_API.token}`
-        }
-    });
+    const expiration = currentExpiration;
+    const strike = currentStrike;
+    const hadQuote = !!currentOptionData;
 
-    console.log('Expirations response status:', response.status);
+    // Only this refresh's own requests skip the cache
+    const options = { bypass: true };
 
-    if (!response.ok) {
-        throw new Error('Failed to fetch expiration dates');
-    }
+    await fetchMarketData(ticker, options);
+    if (!expiration || !expirationDates.includes(expiration)) return;
+
+    document.getElementById('expiration-select').value = expiration;
+    await fetchStrikes(ticker, expiration, options);
 
-    const data = await response.json();
-    console.log('Expirations data:', data);
+    if (strike && strikePrices.includes(strike)) {
+        document.getElementById('strike-select').value = strike;
+        currentStrike = strike;
+        if (hadQuote) {
+            await fetchOptionQuote(options);
+        }
+    }
+}
 
-    if (data.s !== 'ok' || !data.expirations || data.expirations.length === 0) {
-        throw new Error('No options available for this symbol');
+/**
+ * Turn the browser response cache on or off (clearing it when turned off)
+ */
+function setCacheEnabled(enabled) {
+    DataCache.setEnabled(enabled);
+    if (!enabled) {
+        DataCache.clear().catch(error => console.log('Cache clear failed:', error));
     }
+}
 
-    expirationDates = data.expirations;
+/**
+ * Fetch expiration dates and fill the expiration dropdown
+ */
+async function fetchExpirations(ticker, options = {}) {
+    expirationDates = await MarketData.getExpirations(ticker, options);
+    displayAsOf('expirations-as-of', 'getExpirations');
 
     // Populate expiration dropdown
     const select = document.getElementById('expiration-select');
@@ -239,22 +319,39 @@ async function fetchExpirations(ticker) {
             day: 'numeric',
             year: 'numeric'
         });
-        const days = calculateDaysToExpiry(exp);
-        option.textContent = `${formatted} (${days} days)`;
+        option.textContent = `${formatted} (${formatDaysToExpiry(calculateDaysToExpiry(exp))})`;
         select.appendChild(option);
     });
+    EventCalendar.annotateExpirations();
+}
+
+/**
+ * Dividends or earnings dates changed - re-annotate expirations and reprice
+ */
+function onEventsChange() {
+    EventCalendar.annotateExpirations();
+    ChainTable.render();
+    YieldHeatmap.render();
+    refreshPricing();
 }
 
 /**
  * Calculate days to expiry from date string
+ * Fractional calendar days to the expiration-day close (4:00pm ET) - under 1
+ * for same-day contracts and 0 once expired
  */
 function calculateDaysToExpiry(expirationDate) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const expiry = new Date(expirationDate + 'T00:00:00');
-    const diffTime = expiry - today;
-    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-    return Math.max(1, diffDays);
+    return MarketCalendar.calendarDays(expirationDate);
+}
+
+/**
+ * Label for a fractional days-to-expiry value
+ */
+function formatDaysToExpiry(days) {
+    if (days <= 0) return 'Expired';
+    if (days < 1) return `0DTE, ${(days * 24).toFixed(1)} hrs`;
+    const whole = Math.floor(days);
+    return `${whole} day${whole === 1 ? '' : 's'}`;
 }
 
 /**
@@ -263,6 +360,7 @@ function calculateDaysToExpiry(expirationDate) {
 async function onExpirationChange() {
     const select = document.getElementById('expiration-select');
     currentExpiration = select.value;
+    clearOptionQuote();
 
     if (!currentExpiration) {
         document.getElementById('days-to-maturity').textContent = '--';
@@ -271,7 +369,7 @@ async function onExpirationChange() {
 
     // Calculate and display days to maturity
     currentDaysToMaturity = calculateDaysToExpiry(currentExpiration);
-    document.getElementById('days-to-maturity').textContent = currentDaysToMaturity + ' days';
+    displayDaysToMaturity(MarketCalendar.timeToExpiry(currentExpiration));
 
     // Fetch strikes for this expiration
     if (currentTicker) {
@@ -280,34 +378,12 @@ async function onExpirationChange() {
 }
 
 /**
- * Fetch strike prices for an expiration
+ * Fetch strike prices for an expiration and fill the strike dropdown
  */
-async function fetchStrikes(ticker, expiration) {
-    const url = `${MARKETDATA_API.baseUrl}/options/strikes/${ticker}/?expiration=${expiration}`;
-    console.log('Fetching strikes from:', url);
-
+async function fetchStrikes(ticker, expiration, options = {}) {
     try {
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${MARKETDATA_API.token}`
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error('Failed to fetch strikes');
-        }
-
-        const data = await response.json();
-        console.log('Strikes data:', data);
-
-        // MarketData.app returns strikes under the expiration date key, not "strikes"
-        const strikesArray = data[expiration] || data.strikes;
-
-        if (data.s !== 'ok' || !strikesArray || strikesArray.length === 0) {
-            throw new Error('No strikes available');
-        }
-
-        strikePrices = strikesArray.sort((a, b) => a - b);
+        strikePrices = await MarketData.getStrikes(ticker, expiration, options);
+        displayAsOf('strikes-as-of', 'getStrikes');
 
         // Populate strike dropdown
         const select = document.getElementById('strike-select');
@@ -339,6 +415,7 @@ async function fetchStrikes(ticker, expiration) {
             // Pre-select ATM or slightly OTM
             if (strike === atmStrike) {
                 option.selected = true;
+                if (strike !== currentStrike) clearOptionQuote();
                 currentStrike = strike;
             }
 
@@ -356,6 +433,7 @@ async function fetchStrikes(ticker, expiration) {
 async function onStrikeChange() {
     const select = document.getElementById('strike-select');
     currentStrike = parseFloat(select.value);
+    clearOptionQuote();
 
     // Hide sections if no strike selected
     const quickQuoteSection = document.getElementById('quick-quote-section');
@@ -421,8 +499,8 @@ async function onStrikeChange() {
     try {
         // Fetch option quote and FIGI in parallel
         const [optionData, figi] = await Promise.all([
-            fetchOptionData(optionSymbol),
-            fetchFIGI(optionSymbol)
+            MarketData.getOptionQuote(optionSymbol),
+            MarketData.get().online ? fetchFIGI(optionSymbol) : null
         ]);
 
         // Update quick quote display
@@ -517,8 +595,9 @@ async function fetchFIGI(optionSymbol) {
 
 /**
  * Fetch option quote (main action)
+ * @param {Object} options - Request options, e.g. { bypass: true } to skip the cache
  */
-async function fetchOptionQuote() {
+async function fetchOptionQuote(options = {}) {
     if (!currentTicker || !currentExpiration || !currentStrike) {
         alert('Please select a ticker, expiration date, and strike price');
         return;
@@ -533,57 +612,13 @@ async function fetchOptionQuote() {
         const optionSymbol = buildOptionSymbol(currentTicker, currentExpiration, currentOptionType, currentStrike);
 
         // Fetch option quote
-        const optionData = await fetchOptionData(optionSymbol);
+        const optionData = await MarketData.getOptionQuote(optionSymbol, options);
 
-        // Show option quote section
-        document.getElementById('option-quote-section').style.display = 'block';
+        displayOptionQuote(optionData);
+        LiveRefresh.record(optionSymbol, optionData);
 
-        // Update option quote display
-        const bid = optionData.bid || 0;
-        const ask = optionData.ask || 0;
-        const mid = (bid + ask) / 2; // Current price = average of bid and ask
-
-        // Current Price (Mid) - Hero display - used for yield calculation
-        document.getElementById('current-price').textContent = '$' + mid.toFixed(2);
-
-        // Bid/Ask display
-        document.getElementById('option-bid').textContent = '$' + bid.toFixed(2);
-        document.getElementById('option-ask').textContent = '$' + ask.toFixed(2);
-        document.getElementById('option-last').textContent = optionData.last ? '$' + optionData.last.toFixed(2) : '--';
-
-        // Volume and Open Interest
-        document.getElementById('option-volume').textContent = optionData.volume ? optionData.volume.toLocaleString() : '--';
-        document.getElementById('option-oi').textContent = optionData.openInterest ? optionData.openInterest.toLocaleString() : '--';
-
-        // Implied Volatility
-        document.getElementById('option-iv').textContent = optionData.iv ? (optionData.iv * 100).toFixed(1) + '%' : '--';
-
-        // Update Greeks from market data
-        updateDisplay('delta', optionData.delta ? optionData.delta.toFixed(4) : '--');
-        updateDisplay('gamma', optionData.gamma ? optionData.gamma.toFixed(4) : '--');
-        updateDisplay('theta', optionData.theta ? optionData.theta.toFixed(4) : '--');
-        updateDisplay('vega', optionData.vega ? optionData.vega.toFixed(4) : '--');
-        updateDisplay('rho', optionData.rho ? optionData.rho.toFixed(4) : '--');
-
-        // Calculate Black-Scholes for comparison
-        const iv = optionData.iv || 0.25;
-        const T = currentDaysToMaturity / 365;
-        const r = 0.0525; // Risk-free rate
-        const bsPrice = BlackScholes.price(currentOptionType, currentStockPrice, currentStrike, T, r, iv, 0);
-        const intrinsic = BlackScholes.intrinsicValue(currentOptionType, currentStockPrice, currentStrike);
-        const timeValue = mid - intrinsic;
-
-        document.getElementById('bs-price').textContent = '$' + bsPrice.toFixed(2);
-        document.getElementById('intrinsic-value').textContent = '$' + intrinsic.toFixed(2);
-        document.getElementById('time-value').textContent = '$' + Math.max(0, timeValue).toFixed(2);
-
-        // Calculate yield analysis using MID price (average of bid and ask)
-        calculateYieldAnalysis(currentStockPrice, currentStrike, currentDaysToMaturity, mid, currentOptionType);
-
-        // Update P/L chart
-        if (typeof PLChart !== 'undefined') {
-            PLChart.update(currentOptionType, currentStockPrice, currentStrike, T, r, iv, 0, bid, 1);
-        }
+        currentOptionData = optionData;
+        refreshPricing();
 
         statusEl.textContent = `Quote loaded for ${optionSymbol}`;
         statusEl.className = 'status-message success';
@@ -596,102 +631,245 @@ async function fetchOptionQuote() {
 }
 
 /**
- * Build OCC option symbol
- * Format: SYMBOL + YYMMDD + C/P + Strike (8 digits, strike * 1000)
+ * Show the market quote and Greeks for the loaded contract
  */
-function buildOptionSymbol(ticker, expiration, type, strike) {
-    const expDate = new Date(expiration + 'T00:00:00');
-    const yy = String(expDate.getFullYear()).slice(-2);
-    const mm = String(expDate.getMonth() + 1).padStart(2, '0');
-    const dd = String(expDate.getDate()).padStart(2, '0');
-    const cp = type === 'call' ? 'C' : 'P';
-    const strikeStr = String(Math.round(strike * 1000)).padStart(8, '0');
-
-    return `${ticker}${yy}${mm}${dd}${cp}${strikeStr}`;
+function displayOptionQuote(optionData) {
+    // Show option quote section
+    document.getElementById('option-quote-section').style.display = 'block';
+    displayAsOf('quote-as-of', 'getOptionQuote');
+
+    const bid = optionData.bid || 0;
+    const ask = optionData.ask || 0;
+    const mid = (bid + ask) / 2; // Current price = average of bid and ask
+
+    // Current Price (Mid) - Hero display - used for yield calculation
+    document.getElementById('current-price').textContent = '$' + mid.toFixed(2);
+
+    // Bid/Ask display
+    document.getElementById('option-bid').textContent = '$' + bid.toFixed(2);
+    document.getElementById('option-ask').textContent = '$' + ask.toFixed(2);
+    document.getElementById('option-last').textContent = optionData.last ? '$' + optionData.last.toFixed(2) : '--';
+
+    // Volume and Open Interest
+    document.getElementById('option-volume').textContent = optionData.volume ? optionData.volume.toLocaleString() : '--';
+    document.getElementById('option-oi').textContent = optionData.openInterest ? optionData.openInterest.toLocaleString() : '--';
+
+    // Update Greeks from market data
+    updateDisplay('delta', optionData.delta ? optionData.delta.toFixed(4) : '--');
+    updateDisplay('gamma', optionData.gamma ? optionData.gamma.toFixed(4) : '--');
+    updateDisplay('theta', optionData.theta ? optionData.theta.toFixed(4) : '--');
+    updateDisplay('vega', optionData.vega ? optionData.vega.toFixed(4) : '--');
+    updateDisplay('rho', optionData.rho ? optionData.rho.toFixed(4) : '--');
 }
 
 /**
- * Fetch option data from MarketData.app
+ * Re-run the model-driven outputs for the loaded quote
+ * (IV, Black-Scholes/American comparison, yield analysis, P/L chart)
+ * Called after a fetch and whenever a pricing input such as dividends changes
  */
-async function fetchOptionData(optionSymbol) {
-    const url = `${MARKETDATA_API.baseUrl}/options/quotes/${optionSymbol}/`;
-    console.log('Fetching option quote from:', url);
+function refreshPricing() {
+    const optionData = currentOptionData;
+    if (!optionData) return;
+
+    const bid = optionData.bid || 0;
+    const ask = optionData.ask || 0;
+    const mid = (bid + ask) / 2;
+
+    // Time to the expiration-day close, recomputed so 0DTE decays intraday.
+    // Models price on calendar time - provider IVs, rates, dividend times and the
+    // fitted surface are all calendar-annualized. Trading days only annualize yields
+    const expiry = MarketCalendar.timeToExpiry(currentExpiration);
+    currentDaysToMaturity = expiry.calendarDays;
+    displayDaysToMaturity(expiry);
+    const T = expiry.calendarT;
+    const r = RateCurve.continuousRate(expiry.calendarDays);
+    const dividends = DividendSchedule.toSchedule(currentExpiration);
+    document.getElementById('dividends-before-expiry').textContent = formatCurrency(DividendSchedule.totalBefore(currentExpiration));
+
+    // Implied Volatility - feed value, or solved from the quote if missing/suspicious
+    const ivInfo = resolveImpliedVolatility(optionData, currentStockPrice, currentStrike, T, r, 0, currentOptionType, dividends);
+    const iv = ivInfo.iv;
+    displayImpliedVolatility(ivInfo);
+    displayVolatilityContext(iv);
+
+    currentPricingInputs = {
+        type: currentOptionType,
+        S: currentStockPrice,
+        K: currentStrike,
+        T, r, sigma: iv, q: 0, dividends,
+        days: expiry.calendarDays,
+        premium: mid
+    };
 
-    const response = await fetch(url, {
-        headers: {
-            'Authorization': `Bearer ${MARKETDATA_API.token}`
-        }
-    });
+    // Theoretical price under the selected pricing model for comparison.
+    // A normal model's vol is solved once here and reused by the chart below
+    const model = PricingModels.get();
+    const modelSigma = PricingModels.volatility(currentOptionType, currentStockPrice, currentStrike, T, r, iv, 0, dividends, mid);
+    const modelPrice = model.engine.price(currentOptionType, currentStockPrice, currentStrike, T, r, modelSigma, 0, dividends);
+    const intrinsic = BlackScholes.intrinsicValue(currentOptionType, currentStockPrice, currentStrike);
+    const timeValue = mid - intrinsic;
 
-    console.log('Option quote response status:', response.status);
+    document.getElementById('model-price-label').textContent = model.label + ' Price';
+    document.getElementById('model-price').textContent = '$' + modelPrice.toFixed(2);
+    document.getElementById('intrinsic-value').textContent = '$' + intrinsic.toFixed(2);
+    document.getElementById('time-value').textContent = '$' + Math.max(0, timeValue).toFixed(2);
 
-    if (!response.ok) {
-        console.log('Option quote failed, trying chain endpoint...');
-        // Try alternative: fetch from chain
-        return await fetchOptionFromChain();
-    }
+    // Second- and third-order Greeks from the market IV
+    displayAdvancedGreeks(BlackScholes.calculateAdvanced(currentOptionType, currentStockPrice, currentStrike, T, r, iv, 0, dividends));
+
+    // American (binomial) model alongside European Black-Scholes
+    displayAmericanComparison(currentOptionType, currentStockPrice, currentStrike, T, r, iv, 0, dividends);
+
+    // Calculate yield analysis using MID price (average of bid and ask)
+    calculateYieldAnalysis(currentStockPrice, currentStrike, expiry, mid, currentOptionType);
+
+    // Capital on margin (Reg-T and portfolio) alongside cash-secured
+    displayMarginAnalysis(currentOptionType, currentStockPrice, currentStrike, expiry, T, r, iv, mid, dividends);
 
-    const data = await response.json();
-    console.log('Option quote data:', data);
+    // Earnings gaps and early assignment around ex-dividend dates
+    displayEventWarnings(EventCalendar.warnings(currentOptionType, currentStockPrice, currentStrike, mid, currentExpiration));
 
-    if (data.s !== 'ok') {
-        throw new Error('Invalid option data');
+    // Probability of profit / touch and expected P/L for the short position
+    calculateProbabilityMetrics(currentStockPrice, currentStrike, T, r, iv, mid, currentOptionType, dividends, expiry);
+
+    // Update P/L chart - smile-aware current curve once a surface is fitted for this ticker
+    // (the surface is lognormal, so a normal model keeps its one fixed vol)
+    const smileToggle = document.getElementById('smile-in-chart');
+    const useSurface = VolSurface.isReady(currentTicker) && (!smileToggle || smileToggle.checked) && !PricingModels.isNormal();
+    const chartSigma = useSurface
+        ? VolSurface.stickyMoneynessVol(currentStrike, T, currentStockPrice, iv)
+        : modelSigma;
+    if (typeof PLChart !== 'undefined') {
+        PLChart.update(currentOptionType, currentStockPrice, currentStrike, T, r, chartSigma, 0, bid, 1, dividends);
     }
 
-    return {
-        bid: data.bid ? data.bid[0] : null,
-        ask: data.ask ? data.ask[0] : null,
-        last: data.last ? data.last[0] : null,
-        iv: data.iv ? data.iv[0] : null,
-        delta: data.delta ? data.delta[0] : null,
-        gamma: data.gamma ? data.gamma[0] : null,
-        theta: data.theta ? data.theta[0] : null,
-        vega: data.vega ? data.vega[0] : null,
-        rho: data.rho ? data.rho[0] : null,
-        openInterest: data.openInterest ? data.openInterest[0] : null,
-        volume: data.volume ? data.volume[0] : null
-    };
+    if (VolSurface.isReady(currentTicker)) {
+        renderVolSmile();
+    }
 }
 
 /**
- * Alternative: fetch option from chain endpoint
+ * Show second- and third-order Greeks in the Advanced Greeks section
  */
-async function fetchOptionFromChain() {
-    const side = currentOptionType === 'call' ? 'call' : 'put';
-    const url = `${MARKETDATA_API.baseUrl}/options/chain/${currentTicker}/?expiration=${currentExpiration}&side=${side}&strike=${currentStrike}`;
-
-    const response = await fetch(url, {
-        headers: {
-            'Authorization': `Bearer ${MARKETDATA_API.token}`
-        }
-    });
+function displayAdvancedGreeks(greeks) {
+    const fmt = (v) => isFinite(v) ? v.toFixed(6) : '--';
+
+    updateDisplay('vanna', fmt(greeks.vanna));
+    updateDisplay('charm', fmt(greeks.charm));
+    updateDisplay('vomma', fmt(greeks.vomma));
+    updateDisplay('speed', fmt(greeks.speed));
+    updateDisplay('color', fmt(greeks.color));
+    updateDisplay('zomma', fmt(greeks.zomma));
+}
 
-    if (!response.ok) {
-        throw new Error('Failed to fetch option data');
+/**
+ * Show American model price and early-exercise premium in the comparison panel
+ */
+function displayAmericanComparison(type, S, K, T, r, sigma, q, dividends = null) {
+    if (typeof AmericanOption === 'undefined') return;
+
+    const american = AmericanOption.calculateAll(type, S, K, T, r, sigma, q, dividends);
+
+    document.getElementById('american-price').textContent = '$' + american.price.toFixed(2);
+    document.getElementById('early-exercise-premium').textContent = '$' + american.earlyExercisePremium.toFixed(2);
+    document.getElementById('american-delta').textContent = american.delta.toFixed(4);
+
+    const noteEl = document.getElementById('early-exercise-note');
+    if (american.exerciseNow) {
+        noteEl.textContent = type === 'put'
+            ? 'Early exercise is optimal now - a short put this deep ITM is at high risk of assignment.'
+            : 'Early exercise is optimal now - a short call this deep ITM is at high risk of being called away.';
+        noteEl.className = 'early-exercise-note warning';
+    } else if (american.earlyExercisePremium >= 0.01) {
+        noteEl.textContent = 'Early exercise premium is material - watch for assignment as the option moves deeper ITM.';
+        noteEl.className = 'early-exercise-note caution';
+    } else {
+        noteEl.textContent = '';
+        noteEl.className = 'early-exercise-note';
     }
+}
+
+/**
+ * Default volatility when neither the feed nor the quote yields an IV
+ */
+const DEFAULT_IV = 0.25;
 
-    const data = await response.json();
+/**
+ * Work out which implied volatility to use for a quote
+ * Solves IV from bid, mid and ask; the feed IV is kept only when it is
+ * present, plausible and inside the bid/ask IV band (with some slack)
+ */
+function resolveImpliedVolatility(optionData, S, K, T, r, q, type, dividends = null) {
+    const bid = optionData.bid || 0;
+    const ask = optionData.ask || 0;
+    const mid = bid && ask ? (bid + ask) / 2 : (bid || ask);
+
+    const bidIV = bid > 0 ? BlackScholes.impliedVolatility(type, bid, S, K, T, r, q, dividends) : null;
+    const midIV = mid > 0 ? BlackScholes.impliedVolatility(type, mid, S, K, T, r, q, dividends) : null;
+    const askIV = ask > 0 ? BlackScholes.impliedVolatility(type, ask, S, K, T, r, q, dividends) : null;
+
+    const feedIV = optionData.iv;
+    let feedOk = typeof feedIV === 'number' && isFinite(feedIV) && feedIV > 0.01 && feedIV < 5;
 
-    if (data.s !== 'ok' || !data.bid || data.bid.length === 0) {
-        throw new Error('No option data available');
+    if (feedOk && bidIV !== null && askIV !== null) {
+        const slack = Math.max(0.05, (askIV - bidIV) * 0.5);
+        feedOk = feedIV >= bidIV - slack && feedIV <= askIV + slack;
     }
 
-    // Find the matching strike
-    const idx = data.strike ? data.strike.findIndex(s => Math.abs(s - currentStrike) < 0.01) : 0;
+    let iv, source;
+    if (feedOk) {
+        iv = feedIV;
+        source = 'feed';
+    } else if (midIV !== null) {
+        iv = midIV;
+        source = 'mid';
+    } else if (bidIV !== null || askIV !== null) {
+        iv = bidIV !== null ? bidIV : askIV;
+        source = bidIV !== null ? 'bid' : 'ask';
+    } else {
+        iv = DEFAULT_IV;
+        source = 'default';
+    }
 
-    return {
-        bid: data.bid ? data.bid[idx] : null,
-        ask: data.ask ? data.ask[idx] : null,
-        last: data.last ? data.last[idx] : null,
-        iv: data.iv ? data.iv[idx] : null,
-        delta: data.delta ? data.delta[idx] : null,
-        gamma: data.gamma ? data.gamma[idx] : null,
-        theta: data.theta ? data.theta[idx] : null,
-        vega: data.vega ? data.vega[idx] : null,
-        rho: data.rho ? data.rho[idx] : null,
-        openInterest: data.openInterest ? data.openInterest[idx] : null,
-        volume: data.volume ? data.volume[idx] : null
+    return { iv, source, feedIV: feedIV || null, bidIV, midIV, askIV };
+}
+
+/**
+ * Show the chosen IV along with the bid/mid/ask IVs and where it came from
+ */
+function displayImpliedVolatility(ivInfo) {
+    const fmt = (v) => v !== null && v !== undefined ? (v * 100).toFixed(1) + '%' : '--';
+
+    document.getElementById('option-iv').textContent = fmt(ivInfo.iv);
+    document.getElementById('iv-bid').textContent = fmt(ivInfo.bidIV);
+    document.getElementById('iv-mid').textContent = fmt(ivInfo.midIV);
+    document.getElementById('iv-ask').textContent = fmt(ivInfo.askIV);
+
+    const sourceLabels = {
+        feed: 'From MarketData.app',
+        mid: 'Solved from mid price (feed IV missing or suspicious)',
+        bid: 'Solved from bid price (feed IV missing or suspicious)',
+        ask: 'Solved from ask price (feed IV missing or suspicious)',
+        default: `No usable IV - assuming ${(DEFAULT_IV * 100).toFixed(0)}%`
     };
+    const sourceEl = document.getElementById('iv-source');
+    sourceEl.textContent = sourceLabels[ivInfo.source];
+    sourceEl.className = 'iv-source ' + ivInfo.source;
+}
+
+/**
+ * Build OCC option symbol
+ * Format: SYMBOL + YYMMDD + C/P + Strike (8 digits, strike * 1000)
+ */
+function buildOptionSymbol(ticker, expiration, type, strike) {
+    const expDate = new Date(expiration + 'T00:00:00');
+    const yy = String(expDate.getFullYear()).slice(-2);
+    const mm = String(expDate.getMonth() + 1).padStart(2, '0');
+    const dd = String(expDate.getDate()).padStart(2, '0');
+    const cp = type === 'call' ? 'C' : 'P';
+    const strikeStr = String(Math.round(strike * 1000)).padStart(8, '0');
+
+    return `${ticker}${yy}${mm}${dd}${cp}${strikeStr}`;
 }
 
 /**
@@ -715,55 +893,98 @@ function updatePremiumCalculation() {
     // Update display
     document.getElementById('projected-premium').textContent = formatCurrency(projectedPremium);
     document.getElementById('total-notional').textContent = formatCurrency(totalNotional);
+
+    // Net premium and yields depend on the contract count through per-contract fees
+    calculateExecutionAnalysis();
 }
 
 /**
- * Calculate and display seller's yield analysis
+ * Show calendar and trading time remaining for the selected expiration
  */
-function calculateYieldAnalysis(S, K, days, premium, type) {
-    if (!premium || premium <= 0) {
-        resetYieldDisplay();
-        return;
-    }
+function displayDaysToMaturity(expiry) {
+    const el = document.getElementById('days-to-maturity');
+    el.textContent = expiry.expired
+        ? 'Expired'
+        : `${formatDaysToExpiry(expiry.calendarDays)} · ${expiry.tradingDays.toFixed(2)} trading`;
+    el.title = `Expires ${expiry.expiresAt.toLocaleString()} - ${expiry.calendarDays.toFixed(2)} calendar days`;
+}
 
-    // Store mid price for contract calculations
-    currentMidPrice = premium;
+/**
+ * Switch the day-count convention used to annualize yields
+ */
+function setTimeBasis(convention) {
+    MarketCalendar.setConvention(convention);
+    refreshPricing();
+}
 
-    // Update premium calculation with current values
-    updatePremiumCalculation();
+/**
+ * Seller's yield figures for one contract
+ * Shared by the yield analysis panel and the chain table
+ * @param {Object} expiry - MarketCalendar.timeToExpiry result
+ * @returns {Object|null} null when there is no premium or no time left
+ */
+function computeYieldMetrics(S, K, expiry, premium, type) {
+    // Annualize on calendar or trading days per the selected convention
+    const basis = MarketCalendar.annualizationBasis(expiry);
+    const days = basis.days;
+
+    if (!premium || premium <= 0 || days <= 0) return null;
 
     // Period yield: Premium / Stock Price
     const periodYield = premium / S;
 
-    // Annualized yield: Period yield * (365 / days)
-    const annualizedYield = periodYield * (365 / days);
-
-    // Premium per day
-    const premiumPerDay = premium / days;
-
-    // Monthly equivalent yield
-    const monthlyYield = annualizedYield / 12;
-
-    // Capital required
-    const capitalRequired = type === 'call' ? S * 100 : K * 100;
+    // Annualized yield: Period yield * (days per year / days)
+    const annualizedYield = periodYield * (basis.daysPerYear / days);
 
     // If assigned calculations
-    let assignedReturn, assignedAnnualized, effectivePrice;
-
+    let assignedReturn, effectivePrice;
     if (type === 'call') {
-        const totalReturn = premium + (K - S);
-        assignedReturn = totalReturn / S;
-        assignedAnnualized = assignedReturn * (365 / days);
+        assignedReturn = (premium + (K - S)) / S;
         effectivePrice = K + premium;
     } else {
-        effectivePrice = K - premium;
         assignedReturn = premium / K;
-        assignedAnnualized = assignedReturn * (365 / days);
+        effectivePrice = K - premium;
     }
 
+    return {
+        basis,
+        periodYield,
+        annualizedYield,
+        premiumPerDay: premium / days,
+        monthlyYield: annualizedYield / 12,
+        capitalRequired: type === 'call' ? S * 100 : K * 100,
+        assignedReturn,
+        assignedAnnualized: assignedReturn * (basis.daysPerYear / days),
+        effectivePrice
+    };
+}
+
+/**
+ * Calculate and display seller's yield analysis
+ * @param {Object} expiry - MarketCalendar.timeToExpiry result
+ */
+function calculateYieldAnalysis(S, K, expiry, premium, type) {
+    const metrics = computeYieldMetrics(S, K, expiry, premium, type);
+    if (!metrics) {
+        resetYieldDisplay();
+        return;
+    }
+
+    const { basis, periodYield, annualizedYield, premiumPerDay, monthlyYield, capitalRequired,
+        assignedReturn, assignedAnnualized, effectivePrice } = metrics;
+    const days = basis.days;
+
+    // Store mid price for contract calculations
+    currentMidPrice = premium;
+
+    // Update premium calculation with current values
+    updatePremiumCalculation();
+
     // Update display
     updateDisplay('annualized-yield', formatYieldPercent(annualizedYield));
-    updateDisplay('dte-display', days.toString());
+    updateDisplay('dte-display', `${days.toFixed(2)} ${basis.label}`);
+    document.getElementById('premium-per-day-desc').textContent =
+        MarketCalendar.convention === 'trading' ? 'Theta income per trading day' : 'Daily theta income';
     updateDisplay('period-yield', formatYieldPercent(periodYield));
     updateDisplay('premium-per-day', formatCurrency(premiumPerDay));
     updateDisplay('monthly-yield', formatYieldPercent(monthlyYield));
@@ -788,12 +1009,182 @@ function calculateYieldAnalysis(S, K, days, premium, type) {
         effectiveDesc.textContent = type === 'call' ? 'Net sale price if called away' : 'Net cost basis if assigned';
     }
 
+    displayRateBenchmark(expiry.calendarDays, annualizedYield);
+
+    // Covered calls against the user's own shares
+    displayCoveredCall(S, K, expiry, premium, type);
+
     applyYieldColor('annualized-yield', annualizedYield);
     applyYieldColor('period-yield', periodYield);
     applyYieldColor('monthly-yield', monthlyYield);
     applyYieldColor('assigned-annualized', assignedAnnualized);
 }
 
+/**
+ * Gross (mid, no costs) against net (modeled fill less commission and fees)
+ * premium, yields and effective price for the selected contract
+ */
+function calculateExecutionAnalysis() {
+    const optionData = currentOptionData;
+    const ids = ['price', 'premium', 'period-yield', 'annualized-yield', 'effective-price'];
+    const clear = () => {
+        ids.forEach(id => {
+            updateDisplay('gross-' + id, '--');
+            updateDisplay('net-' + id, '--');
+        });
+        document.getElementById('execution-note').textContent = '';
+    };
+
+    if (!optionData || !currentMidPrice) {
+        clear();
+        return;
+    }
+
+    const type = currentOptionType;
+    const S = currentStockPrice;
+    const K = currentStrike;
+    const contracts = parseInt(document.getElementById('yield-contracts').value) || 1;
+    const expiry = MarketCalendar.timeToExpiry(currentExpiration);
+    const costs = ExecutionModel.costs(optionData.bid || 0, optionData.ask || 0, contracts);
+
+    const gross = computeYieldMetrics(S, K, expiry, currentMidPrice, type);
+    const net = computeYieldMetrics(S, K, expiry, costs.netPerShare, type);
+    if (!gross) {
+        clear();
+        return;
+    }
+
+    // Assignment fee comes out of the stock leg - it raises a put's cost basis, lowers a call's sale price
+    const netEffectivePrice = type === 'call'
+        ? K + costs.netPerShare - costs.assignmentFeePerShare
+        : K - costs.netPerShare + costs.assignmentFeePerShare;
+
+    updateDisplay('gross-price', formatCurrency(currentMidPrice));
+    updateDisplay('net-price', formatCurrency(costs.fill));
+    updateDisplay('gross-premium', formatCurrency(costs.grossPremium));
+    updateDisplay('net-premium', formatCurrency(costs.netPremium), costs.netPremium >= 0 ? null : 'negative');
+    updateDisplay('gross-period-yield', formatYieldPercent(gross.periodYield));
+    updateDisplay('gross-annualized-yield', formatYieldPercent(gross.annualizedYield));
+    updateDisplay('gross-effective-price', formatCurrency(gross.effectivePrice));
+    updateDisplay('net-effective-price', formatCurrency(netEffectivePrice));
+
+    // Fees can exceed a tiny premium - computeYieldMetrics has no yield for that
+    if (net) {
+        updateDisplay('net-period-yield', formatYieldPercent(net.periodYield));
+        updateDisplay('net-annualized-yield', formatYieldPercent(net.annualizedYield));
+    } else {
+        updateDisplay('net-period-yield', 'Fees exceed premium', 'negative');
+        updateDisplay('net-annualized-yield', '--');
+    }
+
+    const profile = ExecutionModel.profile();
+    const givenUp = net ? (gross.annualizedYield - net.annualizedYield) * 100 : null;
+    document.getElementById('execution-note').textContent =
+        `${profile.name}: ${formatCurrency(costs.openFees)} to open ${contracts} contract${contracts > 1 ? 's' : ''}` +
+        (profile.assignmentFee > 0 ? `, ${formatCurrency(profile.assignmentFee)} if assigned` : '') +
+        (givenUp !== null ? ` - fill and fees cost ${givenUp.toFixed(2)} pts of annualized yield` : '');
+}
+
+/**
+ * Treasury yield for the same tenor as a benchmark for the annualized yield
+ */
+function displayRateBenchmark(days, annualizedYield) {
+    const rate = RateCurve.rate(days);
+    const excess = (annualizedYield - rate) * 100;
+
+    document.getElementById('rate-at-expiry').textContent = (rate * 100).toFixed(2) + '%';
+    document.getElementById('rate-benchmark').textContent =
+        `vs ${(rate * 100).toFixed(2)}% on a ${Math.max(1, Math.round(days))}-day T-bill (${excess >= 0 ? '+' : ''}${excess.toFixed(1)} pts)`;
+}
+
+/**
+ * Drift used for probability metrics
+ * Risk-neutral uses the risk-free rate; real-world uses the user's expected return
+ */
+function getDriftAssumption(r) {
+    const mode = document.getElementById('drift-mode').value;
+    const driftInput = document.getElementById('drift-rate');
+    driftInput.disabled = mode !== 'real-world';
+
+    if (mode === 'real-world') {
+        const mu = parseFloat(driftInput.value) / 100;
+        if (isFinite(mu)) {
+            return { mu, label: `Real-world drift ${(mu * 100).toFixed(1)}%/yr` };
+        }
+    }
+    return { mu: r, label: `Risk-neutral (drift = risk-free ${(r * 100).toFixed(2)}%)` };
+}
+
+/**
+ * Calculate and display probability of profit, touch and expected P/L
+ * for selling the option at the given premium
+ * @param {Object} expiry - MarketCalendar.timeToExpiry result, for annualizing
+ */
+function calculateProbabilityMetrics(S, K, T, r, sigma, premium, type, dividends, expiry) {
+    if (!premium || premium <= 0) {
+        ['prob-profit', 'prob-itm', 'prob-touch', 'expected-pl',
+         'expected-annualized', 'expected-assigned-loss', 'yield-per-risk'].forEach(id => updateDisplay(id, '--'));
+        return;
+    }
+
+    const { mu, label } = getDriftAssumption(r);
+
+    const pop = BlackScholes.probProfit(type, S, K, T, mu, sigma, premium, 0, dividends, 'short');
+    const pitm = BlackScholes.probITM(type, S, K, T, mu, sigma, 0, dividends);
+    const ptouch = BlackScholes.probTouch(S, K, T, mu, sigma, 0, dividends);
+    const expectedPL = BlackScholes.expectedPL(type, S, K, T, mu, sigma, premium, 0, dividends, 'short') * 100;
+
+    updateDisplay('prob-profit', formatYieldPercent(pop));
+    updateDisplay('prob-itm', formatYieldPercent(pitm));
+    updateDisplay('prob-touch', formatYieldPercent(ptouch));
+    updateDisplay('expected-pl', formatCurrency(expectedPL), expectedPL >= 0 ? 'positive' : 'negative');
+
+    document.getElementById('prob-breakeven-desc').textContent =
+        `Stock ${type === 'put' ? 'above' : 'below'} ${formatCurrency(BlackScholes.breakeven(type, K, premium))} at expiry`;
+    document.getElementById('drift-label').textContent = label;
+
+    calculateExpectedReturn(S, K, T, mu, sigma, premium, type, dividends, expiry, pitm);
+}
+
+/**
+ * Probability-weighted return for the short option: keeping the premium
+ * weighed against the expected payout under the lognormal implied by the IV
+ * (with the selected drift), on the same premium / stock price basis as the
+ * headline yield
+ */
+function calculateExpectedReturn(S, K, T, mu, sigma, premium, type, dividends, expiry, pitm) {
+    const basis = MarketCalendar.annualizationBasis(expiry);
+    if (basis.days <= 0 || T <= 0) {
+        ['expected-annualized', 'expected-assigned-loss', 'yield-per-risk'].forEach(id => updateDisplay(id, '--'));
+        return;
+    }
+
+    const annualize = basis.daysPerYear / basis.days;
+    const payoff = BlackScholes.expectedPayoff(type, S, K, T, mu, sigma, 0, dividends);
+    const payoffStdDev = BlackScholes.payoffStdDev(type, S, K, T, mu, sigma, 0, dividends);
+
+    // Headline yield assumes the option always expires worthless
+    const headline = premium / S * annualize;
+    const expectedAnnualized = (premium - payoff) / S * annualize;
+
+    // Risk: standard deviation of the return, scaled to a year like a Sharpe ratio
+    const returnVolatility = payoffStdDev / S * Math.sqrt(annualize);
+    const score = returnVolatility > 0 ? expectedAnnualized / returnVolatility : null;
+
+    updateDisplay('expected-annualized', formatYieldPercent(expectedAnnualized), expectedAnnualized >= 0 ? 'positive' : 'negative');
+    document.getElementById('expected-annualized-desc').textContent = `vs ${formatYieldPercent(headline)} if it always expires worthless`;
+
+    // Average payout when it finishes in the money, less the premium kept
+    if (pitm > 1e-6) {
+        const assignedLoss = (payoff / pitm - premium) * 100;
+        updateDisplay('expected-assigned-loss', formatCurrency(assignedLoss), assignedLoss > 0 ? 'negative' : 'positive');
+    } else {
+        updateDisplay('expected-assigned-loss', '--');
+    }
+
+    updateDisplay('yield-per-risk', score !== null ? score.toFixed(2) : '--', score !== null && score < 0 ? 'negative' : null);
+}
+
 /**
  * Reset yield display
  */
@@ -807,6 +1198,9 @@ function resetYieldDisplay() {
     currentMidPrice = 0;
     document.getElementById('projected-premium').textContent = '--';
     document.getElementById('total-notional').textContent = '--';
+    document.getElementById('rate-benchmark').textContent = '';
+    calculateExecutionAnalysis();
+    displayCoveredCall(0, 0, null, 0, currentOptionType);
 }
 
 /**
@@ -817,18 +1211,18 @@ function applyYieldColor(elementId, yieldValue) {
     if (!el) return;
 
     el.classList.remove('excellent', 'good', 'moderate', 'low', 'negative');
+    el.classList.add(yieldColorClass(yieldValue));
+}
 
-    if (yieldValue < 0) {
-        el.classList.add('negative');
-    } else if (yieldValue >= 0.30) {
-        el.classList.add('excellent');
-    } else if (yieldValue >= 0.15) {
-        el.classList.add('good');
-    } else if (yieldValue >= 0.08) {
-        el.classList.add('moderate');
-    } else {
-        el.classList.add('low');
-    }
+/**
+ * Color class for a yield value (thresholds shared by every yield display)
+ */
+function yieldColorClass(yieldValue) {
+    if (yieldValue < 0) return 'negative';
+    if (yieldValue >= 0.30) return 'excellent';
+    if (yieldValue >= 0.15) return 'good';
+    if (yieldValue >= 0.08) return 'moderate';
+    return 'low';
 }
 
 /**
@@ -870,6 +1264,10 @@ function formatYieldPercent(value) {
 function init() {
     const tickerInput = document.getElementById('ticker');
 
+    // Central request-layer hooks: re-prompt on auth failures, show credit usage
+    MarketDataApp.onAuthError = onApiAuthError;
+    MarketDataApp.onCreditsChange = displayApiCredits;
+
     // Check if running from file:// protocol (won't work due to CORS)
     if (window.location.protocol === 'file:') {
         const statusEl = document.getElementById('fetch-status');
@@ -878,8 +1276,10 @@ function init() {
         return;
     }
 
-    // Show API key setup if no token saved
-    if (!MARKETDATA_API.token) {
+    // Show API key setup if the provider needs a token and none is saved
+    document.getElementById('data-source').value = MarketData.selected;
+    document.getElementById('cache-enabled').checked = DataCache.enabled;
+    if (MarketData.get().requiresToken && !MARKETDATA_API.token) {
         showApiKeySection();
         return;
     }
@@ -896,6 +1296,16 @@ function init() {
         }
     });
 
+    // Reprice when the rate curve is edited or imported
+    RateCurve.onChange = refreshPricing;
+
+    // Reprice and re-flag expirations when dividends or earnings dates are edited
+    DividendSchedule.onChange = onEventsChange;
+    EventCalendar.onChange = onEventsChange;
+
+    // Restore the saved yield annualization convention
+    document.getElementById('time-basis').value = MarketCalendar.convention;
+
     // Set default position to short (selling options)
     if (typeof PLChart !== 'undefined') {
         PLChart.position = 'short';
@@ -905,6 +1315,33 @@ function init() {
     handleUrlParameters();
 }
 
+/**
+ * Load a contract into the main view (row clicks in the chain views)
+ * @returns {boolean} False if the expiration or strike is not listed
+ */
+async function selectContract(type, expiration, strike) {
+    if (type !== currentOptionType) {
+        await setOptionType(type);
+    }
+
+    // Compare against the dropdown - a ticker change empties it but leaves currentExpiration
+    const expirationSelect = document.getElementById('expiration-select');
+    if (expiration !== expirationSelect.value) {
+        expirationSelect.value = expiration;
+        if (expirationSelect.value !== expiration) return false;
+        await onExpirationChange();
+    }
+
+    const strikeSelect = document.getElementById('strike-select');
+    strikeSelect.value = String(strike);
+    if (parseFloat(strikeSelect.value) !== strike) return false;
+
+    await onStrikeChange();
+    await fetchOptionQuote();
+    document.querySelector('main').scrollIntoView({ behavior: 'smooth' });
+    return true;
+}
+
 /**
  * Handle URL parameters to pre-populate form
  * Supports: ?ticker=AAPL&type=put&exp=2026-02-21&strike=245
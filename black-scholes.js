@@ -1,6 +1,8 @@
 /**
  * Black-Scholes Option Pricing Model
  * Calculates European option prices and Greeks
+ * Discrete cash dividends use the escrowed-dividend model: the spot is reduced
+ * by the present value of dividends paid before expiration
  */
 
 const BlackScholes = {
@@ -32,6 +34,30 @@ const BlackScholes = {
         return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
     },
 
+    /**
+     * Present value of cash dividends going ex before expiration
+     * @param {Array} dividends - [{ t, amount }] with t in years from now
+     * @param {number} T - Time to expiration (in years)
+     * @param {number} r - Risk-free interest rate (decimal)
+     */
+    dividendPV(dividends, T, r) {
+        if (!dividends || dividends.length === 0) return 0;
+
+        return dividends.reduce((sum, div) => {
+            if (div.t > 0 && div.t <= T) {
+                return sum + div.amount * Math.exp(-r * div.t);
+            }
+            return sum;
+        }, 0);
+    },
+
+    /**
+     * Escrowed-dividend spot: S less the PV of dividends before expiration
+     */
+    adjustedSpot(S, T, r, dividends) {
+        return Math.max(1e-8, S - this.dividendPV(dividends, T, r));
+    },
+
     /**
      * Calculate d1 and d2 parameters
      * @param {number} S - Current stock price
@@ -56,8 +82,9 @@ const BlackScholes = {
      * @param {number} r - Risk-free interest rate (decimal)
      * @param {number} sigma - Volatility (decimal)
      * @param {number} q - Dividend yield (decimal)
+     * @param {Array} dividends - Optional discrete cash dividends [{ t, amount }]
      */
-    price(type, S, K, T, r, sigma, q = 0) {
+    price(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) {
             // At expiration
             if (type === 'call') {
@@ -67,6 +94,7 @@ const BlackScholes = {
             }
         }
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
 
         if (type === 'call') {
@@ -79,7 +107,7 @@ const BlackScholes = {
     /**
      * Calculate Delta - rate of change of option price with respect to underlying price
      */
-    delta(type, S, K, T, r, sigma, q = 0) {
+    delta(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) {
             if (type === 'call') {
                 return S > K ? 1 : 0;
@@ -88,6 +116,7 @@ const BlackScholes = {
             }
         }
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d1 } = this.calculateD1D2(S, K, T, r, sigma, q);
         const expQt = Math.exp(-q * T);
 
@@ -100,10 +129,12 @@ const BlackScholes = {
 
     /**
      * Calculate Gamma - rate of change of delta with respect to underlying price
+     * Same for calls and puts; type keeps the signature shared with the other engines
      */
-    gamma(S, K, T, r, sigma, q = 0) {
+    gamma(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) return 0;
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d1 } = this.calculateD1D2(S, K, T, r, sigma, q);
         const expQt = Math.exp(-q * T);
 
@@ -114,9 +145,10 @@ const BlackScholes = {
      * Calculate Theta - rate of change of option price with respect to time
      * Returns daily theta (divide annual by 365)
      */
-    theta(type, S, K, T, r, sigma, q = 0) {
+    theta(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) return 0;
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
         const expQt = Math.exp(-q * T);
         const expRt = Math.exp(-r * T);
@@ -138,10 +170,12 @@ const BlackScholes = {
     /**
      * Calculate Vega - rate of change of option price with respect to volatility
      * Returns vega per 1% change in volatility
+     * Same for calls and puts; type keeps the signature shared with the other engines
      */
-    vega(S, K, T, r, sigma, q = 0) {
+    vega(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) return 0;
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d1 } = this.calculateD1D2(S, K, T, r, sigma, q);
         const expQt = Math.exp(-q * T);
 
@@ -152,9 +186,10 @@ const BlackScholes = {
      * Calculate Rho - rate of change of option price with respect to interest rate
      * Returns rho per 1% change in interest rate
      */
-    rho(type, S, K, T, r, sigma, q = 0) {
+    rho(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) return 0;
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
         const expRt = Math.exp(-r * T);
 
@@ -168,17 +203,242 @@ const BlackScholes = {
     /**
      * Calculate all Greeks at once
      */
-    calculateAll(type, S, K, T, r, sigma, q = 0) {
+    calculateAll(type, S, K, T, r, sigma, q = 0, dividends = null) {
         return {
-            price: this.price(type, S, K, T, r, sigma, q),
-            delta: this.delta(type, S, K, T, r, sigma, q),
-            gamma: this.gamma(S, K, T, r, sigma, q),
-            theta: this.theta(type, S, K, T, r, sigma, q),
-            vega: this.vega(S, K, T, r, sigma, q),
-            rho: this.rho(type, S, K, T, r, sigma, q)
+            price: this.price(type, S, K, T, r, sigma, q, dividends),
+            delta: this.delta(type, S, K, T, r, sigma, q, dividends),
+            gamma: this.gamma(type, S, K, T, r, sigma, q, dividends),
+            theta: this.theta(type, S, K, T, r, sigma, q, dividends),
+            vega: this.vega(type, S, K, T, r, sigma, q, dividends),
+            rho: this.rho(type, S, K, T, r, sigma, q, dividends)
         };
     },
 
+    /**
+     * Calculate Vanna - rate of change of delta with respect to volatility
+     * Returns change in delta per 1% change in volatility
+     */
+    vanna(S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        S = this.adjustedSpot(S, T, r, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
+        const expQt = Math.exp(-q * T);
+
+        return (-expQt * this.normPDF(d1) * d2 / sigma) / 100;
+    },
+
+    /**
+     * Calculate Charm - rate of change of delta with respect to time (delta decay)
+     * Returns change in delta per calendar day
+     */
+    charm(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        S = this.adjustedSpot(S, T, r, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
+        const expQt = Math.exp(-q * T);
+        const sqrtT = Math.sqrt(T);
+
+        const common = expQt * this.normPDF(d1) * (2 * (r - q) * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT);
+
+        if (type === 'call') {
+            return (q * expQt * this.normCDF(d1) - common) / 365;
+        } else {
+            return (-q * expQt * this.normCDF(-d1) - common) / 365;
+        }
+    },
+
+    /**
+     * Calculate Vomma (volga) - rate of change of vega with respect to volatility
+     * Returns change in vega (per 1%) per 1% change in volatility
+     */
+    vomma(S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        S = this.adjustedSpot(S, T, r, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
+        const expQt = Math.exp(-q * T);
+        const rawVega = S * expQt * this.normPDF(d1) * Math.sqrt(T);
+
+        return (rawVega * d1 * d2 / sigma) / 10000;
+    },
+
+    /**
+     * Calculate Speed - rate of change of gamma with respect to underlying price
+     */
+    speed(S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        S = this.adjustedSpot(S, T, r, dividends);
+        const { d1 } = this.calculateD1D2(S, K, T, r, sigma, q);
+        const sigmaSqrtT = sigma * Math.sqrt(T);
+        const gamma = Math.exp(-q * T) * this.normPDF(d1) / (S * sigmaSqrtT);
+
+        return -(gamma / S) * (d1 / sigmaSqrtT + 1);
+    },
+
+    /**
+     * Calculate Color - rate of change of gamma with respect to time (gamma decay)
+     * Returns change in gamma per calendar day
+     */
+    color(S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        S = this.adjustedSpot(S, T, r, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
+        const expQt = Math.exp(-q * T);
+        const sigmaSqrtT = sigma * Math.sqrt(T);
+
+        // Signed as the change in gamma as a day passes, like theta and charm
+        const bracket = 2 * q * T + 1 + d1 * (2 * (r - q) * T - d2 * sigmaSqrtT) / sigmaSqrtT;
+        return (expQt * this.normPDF(d1) / (2 * S * T * sigmaSqrtT) * bracket) / 365;
+    },
+
+    /**
+     * Calculate Zomma - rate of change of gamma with respect to volatility
+     * Returns change in gamma per 1% change in volatility
+     */
+    zomma(S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        const gamma = this.gamma('call', S, K, T, r, sigma, q, dividends);
+        S = this.adjustedSpot(S, T, r, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
+
+        return (gamma * (d1 * d2 - 1) / sigma) / 100;
+    },
+
+    /**
+     * Calculate second- and third-order Greeks at once
+     */
+    calculateAdvanced(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        return {
+            vanna: this.vanna(S, K, T, r, sigma, q, dividends),
+            charm: this.charm(type, S, K, T, r, sigma, q, dividends),
+            vomma: this.vomma(S, K, T, r, sigma, q, dividends),
+            speed: this.speed(S, K, T, r, sigma, q, dividends),
+            color: this.color(S, K, T, r, sigma, q, dividends),
+            zomma: this.zomma(S, K, T, r, sigma, q, dividends)
+        };
+    },
+
+    /**
+     * Price many contracts of one type in a single pass
+     * Each input may be a number (shared) or an array/typed array (per contract).
+     * d1/d2, N(d1), N(d2) and the discount factors are computed once per
+     * contract and shared by the price and every Greek.
+     * @param {string} type - 'call' or 'put'
+     * @param {Object} inputs - { S, K, T, r, sigma, q, dividends }
+     * @param {boolean} withGreeks - Also fill delta/gamma/theta/vega/rho (default true)
+     * @returns {Object} Float64Arrays { price, delta, gamma, theta, vega, rho }
+     */
+    calculateBatch(type, inputs, withGreeks = true) {
+        const { S, K, T, r, sigma, q = 0, dividends = null } = inputs;
+        const fields = [S, K, T, r, sigma, q];
+        const n = fields.reduce((len, v) => typeof v === 'number' ? len : Math.max(len, v.length), 1);
+        const at = (v, i) => typeof v === 'number' ? v : v[i];
+        const isCall = type === 'call';
+
+        const out = { price: new Float64Array(n) };
+        if (withGreeks) {
+            ['delta', 'gamma', 'theta', 'vega', 'rho'].forEach(key => { out[key] = new Float64Array(n); });
+        }
+
+        for (let i = 0; i < n; i++) {
+            const Ti = at(T, i);
+            const Ki = at(K, i);
+            const ri = at(r, i);
+            let Si = at(S, i);
+
+            if (Ti <= 0) {
+                out.price[i] = isCall ? Math.max(0, Si - Ki) : Math.max(0, Ki - Si);
+                if (withGreeks) {
+                    out.delta[i] = isCall ? (Si > Ki ? 1 : 0) : (Si < Ki ? -1 : 0);
+                }
+                continue;
+            }
+
+            const sigmai = at(sigma, i);
+            const qi = at(q, i);
+            if (dividends) Si = this.adjustedSpot(Si, Ti, ri, dividends);
+
+            const sqrtT = Math.sqrt(Ti);
+            const sigmaSqrtT = sigmai * sqrtT;
+            const d1 = (Math.log(Si / Ki) + (ri - qi + 0.5 * sigmai * sigmai) * Ti) / sigmaSqrtT;
+            const d2 = d1 - sigmaSqrtT;
+            const expQt = Math.exp(-qi * Ti);
+            const expRt = Math.exp(-ri * Ti);
+            const nd1 = this.normCDF(d1);
+            const nd2 = this.normCDF(d2);
+
+            out.price[i] = isCall
+                ? Si * expQt * nd1 - Ki * expRt * nd2
+                : Ki * expRt * (1 - nd2) - Si * expQt * (1 - nd1);
+
+            if (!withGreeks) continue;
+
+            const pdf = this.normPDF(d1);
+            const thetaDecay = -(Si * sigmai * expQt * pdf) / (2 * sqrtT);
+
+            out.delta[i] = isCall ? expQt * nd1 : expQt * (nd1 - 1);
+            out.gamma[i] = expQt * pdf / (Si * sigmaSqrtT);
+            out.vega[i] = (Si * expQt * pdf * sqrtT) / 100;
+
+            if (isCall) {
+                out.theta[i] = (thetaDecay - ri * Ki * expRt * nd2 + qi * Si * expQt * nd1) / 365;
+                out.rho[i] = (Ki * Ti * expRt * nd2) / 100;
+            } else {
+                out.theta[i] = (thetaDecay + ri * Ki * expRt * (1 - nd2) - qi * Si * expQt * (1 - nd1)) / 365;
+                out.rho[i] = (-Ki * Ti * expRt * (1 - nd2)) / 100;
+            }
+        }
+
+        return out;
+    },
+
+    /**
+     * Check calculateBatch against the scalar functions on random contracts
+     * Returns the largest absolute difference and the time taken by each path
+     * @param {number} n - Number of contracts to price
+     */
+    benchmarkBatch(n = 10000, type = 'put') {
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const S = new Float64Array(n);
+        const K = new Float64Array(n);
+        const T = new Float64Array(n);
+        const sigma = new Float64Array(n);
+        const r = 0.05;
+        const q = 0.01;
+
+        for (let i = 0; i < n; i++) {
+            S[i] = 50 + Math.random() * 100;
+            K[i] = S[i] * (0.7 + Math.random() * 0.6);
+            T[i] = (1 + Math.random() * 364) / 365;
+            sigma[i] = 0.1 + Math.random() * 0.9;
+        }
+
+        let start = now();
+        const scalar = [];
+        for (let i = 0; i < n; i++) {
+            scalar.push(this.calculateAll(type, S[i], K[i], T[i], r, sigma[i], q));
+        }
+        const scalarMs = now() - start;
+
+        start = now();
+        const batch = this.calculateBatch(type, { S, K, T, r, sigma, q });
+        const batchMs = now() - start;
+
+        let maxError = 0;
+        for (let i = 0; i < n; i++) {
+            ['price', 'delta', 'gamma', 'theta', 'vega', 'rho'].forEach(key => {
+                maxError = Math.max(maxError, Math.abs(scalar[i][key] - batch[key][i]));
+            });
+        }
+
+        return { n, scalarMs, batchMs, speedup: scalarMs / batchMs, maxError };
+    },
+
     /**
      * Calculate intrinsic value
      */
@@ -194,7 +454,7 @@ const BlackScholes = {
      * Calculate probability of finishing in-the-money
      * Based on risk-neutral probability (N(d2) for calls, N(-d2) for puts)
      */
-    probITM(type, S, K, T, r, sigma, q = 0) {
+    probITM(type, S, K, T, r, sigma, q = 0, dividends = null) {
         if (T <= 0) {
             if (type === 'call') {
                 return S > K ? 1 : 0;
@@ -203,6 +463,7 @@ const BlackScholes = {
             }
         }
 
+        S = this.adjustedSpot(S, T, r, dividends);
         const { d2 } = this.calculateD1D2(S, K, T, r, sigma, q);
 
         if (type === 'call') {
@@ -212,6 +473,212 @@ const BlackScholes = {
         }
     },
 
+    /*
+     * The probability helpers below take a drift `mu` in place of r.
+     * Pass the risk-free rate for risk-neutral odds, or an expected annual
+     * stock return for real-world odds. Dividends are still discounted at mu.
+     */
+
+    /**
+     * Probability that the stock finishes above a price level at expiration
+     * @param {number} S - Current stock price
+     * @param {number} level - Price level
+     * @param {number} T - Time to expiration (in years)
+     * @param {number} mu - Drift (decimal) - r for risk-neutral
+     * @param {number} sigma - Volatility (decimal)
+     * @param {number} q - Dividend yield (decimal)
+     * @param {Array} dividends - Optional discrete cash dividends [{ t, amount }]
+     */
+    probAbove(S, level, T, mu, sigma, q = 0, dividends = null) {
+        if (level <= 0) return 1;
+        if (T <= 0) return S > level ? 1 : 0;
+
+        S = this.adjustedSpot(S, T, mu, dividends);
+        const { d2 } = this.calculateD1D2(S, level, T, mu, sigma, q);
+        return this.normCDF(d2);
+    },
+
+    /**
+     * Probability of profit at expiration
+     * Depends on the breakeven (strike -/+ premium), not the strike
+     * @param {string} position - 'short' (default) or 'long'
+     */
+    probProfit(type, S, K, T, mu, sigma, premium, q = 0, dividends = null, position = 'short') {
+        const breakeven = this.breakeven(type, K, premium);
+        const above = this.probAbove(S, breakeven, T, mu, sigma, q, dividends);
+
+        // Short put / long call profit above breakeven; short call / long put below
+        const profitsAbove = (type === 'put') === (position === 'short');
+        return profitsAbove ? above : 1 - above;
+    },
+
+    /**
+     * Probability of the stock touching the strike at any time before expiration
+     * First-passage probability of GBM to a barrier; 1 if already through it
+     */
+    probTouch(S, K, T, mu, sigma, q = 0, dividends = null) {
+        if (T <= 0) return S === K ? 1 : 0;
+
+        S = this.adjustedSpot(S, T, mu, dividends);
+        const b = Math.log(K / S);
+        if (b === 0) return 1;
+
+        const nu = mu - q - 0.5 * sigma * sigma;
+        const sigmaSqrtT = sigma * Math.sqrt(T);
+        const reflection = Math.exp(2 * nu * b / (sigma * sigma));
+
+        let prob;
+        if (b < 0) {
+            // Barrier below spot - probability the running minimum reaches it
+            prob = this.normCDF((b - nu * T) / sigmaSqrtT) + reflection * this.normCDF((b + nu * T) / sigmaSqrtT);
+        } else {
+            // Barrier above spot - probability the running maximum reaches it
+            prob = this.normCDF((-b + nu * T) / sigmaSqrtT) + reflection * this.normCDF((-b - nu * T) / sigmaSqrtT);
+        }
+
+        return Math.min(1, Math.max(0, prob));
+    },
+
+    /**
+     * Expected option payoff at expiration (undiscounted, per share)
+     */
+    expectedPayoff(type, S, K, T, mu, sigma, q = 0, dividends = null) {
+        if (T <= 0) return this.intrinsicValue(type, S, K);
+
+        S = this.adjustedSpot(S, T, mu, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, mu, sigma, q);
+        const forward = S * Math.exp((mu - q) * T);
+
+        if (type === 'call') {
+            return forward * this.normCDF(d1) - K * this.normCDF(d2);
+        } else {
+            return K * this.normCDF(-d2) - forward * this.normCDF(-d1);
+        }
+    },
+
+    /**
+     * Standard deviation of the option payoff at expiration (per share)
+     * From the second moment under the lognormal: E[S_T^2] = F^2 e^(sigma^2 T)
+     */
+    payoffStdDev(type, S, K, T, mu, sigma, q = 0, dividends = null) {
+        if (T <= 0) return 0;
+
+        S = this.adjustedSpot(S, T, mu, dividends);
+        const { d1, d2 } = this.calculateD1D2(S, K, T, mu, sigma, q);
+        const forward = S * Math.exp((mu - q) * T);
+        const sigmaSqrtT = sigma * Math.sqrt(T);
+        const forwardSq = forward * forward * Math.exp(sigma * sigma * T);
+
+        let mean, second;
+        if (type === 'call') {
+            mean = forward * this.normCDF(d1) - K * this.normCDF(d2);
+            second = forwardSq * this.normCDF(d1 + sigmaSqrtT) - 2 * K * forward * this.normCDF(d1) + K * K * this.normCDF(d2);
+        } else {
+            mean = K * this.normCDF(-d2) - forward * this.normCDF(-d1);
+            second = K * K * this.normCDF(-d2) - 2 * K * forward * this.normCDF(-d1) + forwardSq * this.normCDF(-d1 - sigmaSqrtT);
+        }
+        return Math.sqrt(Math.max(0, second - mean * mean));
+    },
+
+    /**
+     * Expected P/L at expiration (per share) for a position opened at premium
+     * @param {string} position - 'short' (default) or 'long'
+     */
+    expectedPL(type, S, K, T, mu, sigma, premium, q = 0, dividends = null, position = 'short') {
+        const payoff = this.expectedPayoff(type, S, K, T, mu, sigma, q, dividends);
+        return position === 'short' ? premium - payoff : payoff - premium;
+    },
+
+    /**
+     * Solve for implied volatility from a market price
+     * Safeguarded Newton-Raphson: falls back to bisection whenever the Newton
+     * step leaves the bracket or vega is too small (deep ITM/OTM contracts).
+     * Returns null when the price is outside the no-arbitrage bounds.
+     * @param {string} type - 'call' or 'put'
+     * @param {number} marketPrice - Observed option price
+     * @param {number} S - Current stock price
+     * @param {number} K - Strike price
+     * @param {number} T - Time to expiration (in years)
+     * @param {number} r - Risk-free interest rate (decimal)
+     * @param {number} q - Dividend yield (decimal)
+     * @param {Array} dividends - Optional discrete cash dividends [{ t, amount }]
+     */
+    impliedVolatility(type, marketPrice, S, K, T, r, q = 0, dividends = null) {
+        if (!(marketPrice > 0) || !(S > 0) || !(K > 0) || !(T > 0)) return null;
+
+        // Solve against the escrowed spot so the loop below can ignore dividends
+        S = this.adjustedSpot(S, T, r, dividends);
+
+        const discS = S * Math.exp(-q * T);
+        const discK = K * Math.exp(-r * T);
+        const lowerBound = type === 'call' ? Math.max(0, discS - discK) : Math.max(0, discK - discS);
+        const upperBound = type === 'call' ? discS : discK;
+
+        // No volatility reproduces a price at or beyond the arbitrage bounds
+        if (marketPrice <= lowerBound || marketPrice >= upperBound) return null;
+
+        const tolerance = 1e-7;
+        let lo = 1e-4;
+        let hi = 5;
+
+        // Widen the bracket for extreme prices (e.g. meme names, near-expiry)
+        while (this.price(type, S, K, T, r, hi, q) < marketPrice && hi < 50) {
+            hi *= 2;
+        }
+        if (this.price(type, S, K, T, r, hi, q) < marketPrice) return null;
+        if (this.price(type, S, K, T, r, lo, q) > marketPrice) return lo;
+
+        // Brenner-Subrahmanyam starting guess, clamped into the bracket
+        let sigma = Math.sqrt(2 * Math.PI / T) * marketPrice / S;
+        sigma = Math.min(hi, Math.max(lo, sigma || 0.25));
+
+        for (let i = 0; i < 100; i++) {
+            const diff = this.price(type, S, K, T, r, sigma, q) - marketPrice;
+
+            if (Math.abs(diff) < tolerance) return sigma;
+
+            if (diff > 0) {
+                hi = sigma;
+            } else {
+                lo = sigma;
+            }
+
+            // vega() is scaled per 1% vol move; Newton needs the raw derivative
+            const vega = this.vega(type, S, K, T, r, sigma, q) * 100;
+            let next = vega > 1e-10 ? sigma - diff / vega : NaN;
+
+            if (!(next > lo && next < hi)) {
+                next = 0.5 * (lo + hi);
+            }
+
+            if (Math.abs(next - sigma) < 1e-10) return next;
+            sigma = next;
+        }
+
+        return sigma;
+    },
+
+    /**
+     * IV for a chain row: the feed's value, else solved from the mid
+     * @param {Object} option - Chain row { side, strike, iv? }
+     * @returns {number|null} null when the feed has none and none can be solved
+     */
+    chainIV(option, mid, S, T, r) {
+        if (option.iv > 0) return option.iv;
+        if (!(mid > 0) || !(T > 0)) return null;
+        return this.impliedVolatility(option.side, mid, S, option.strike, T, r);
+    },
+
+    /**
+     * Delta for a chain row: the feed's value, else Black-Scholes on chainIV
+     * @returns {number|null} Signed delta, null when there is no IV to use
+     */
+    chainDelta(option, mid, S, T, r) {
+        if (typeof option.delta === 'number') return option.delta;
+        const iv = this.chainIV(option, mid, S, T, r);
+        return iv ? this.delta(option.side, S, option.strike, T, r, iv) : null;
+    },
+
     /**
      * Calculate breakeven price at expiration
      */
@@ -0,0 +1,170 @@
+/**
+ * Option Chain Yield Table
+ * Every strike of one expiration and side from a single chain call, with the
+ * same yield math as the yield analysis panel. Sortable; clicking a row loads
+ * that strike into the main contract view.
+ */
+
+const ChainTable = {
+    ticker: '',
+    expiration: '',
+    side: '',
+    rows: [],
+    sortKey: 'strike',
+    sortAscending: true,
+
+    columns: [
+        { key: 'strike', label: 'Strike', format: v => '$' + v.toFixed(2) },
+        { key: 'bid', label: 'Bid', format: v => v !== null ? '$' + v.toFixed(2) : '--' },
+        { key: 'ask', label: 'Ask', format: v => v !== null ? '$' + v.toFixed(2) : '--' },
+        { key: 'mid', label: 'Mid', format: v => '$' + v.toFixed(2) },
+        { key: 'delta', label: 'Delta', format: v => v !== null ? v.toFixed(3) : '--' },
+        { key: 'iv', label: 'IV', format: v => v !== null ? (v * 100).toFixed(1) + '%' : '--' },
+        { key: 'openInterest', label: 'OI', format: v => v !== null ? v.toLocaleString() : '--' },
+        { key: 'volume', label: 'Volume', format: v => v !== null ? v.toLocaleString() : '--' },
+        { key: 'otmPercent', label: '% OTM', format: v => (v * 100).toFixed(1) + '%' },
+        { key: 'periodYield', label: 'Period Yield', format: v => v !== null ? formatYieldPercent(v) : '--', yield: true },
+        { key: 'annualizedYield', label: 'Annualized', format: v => v !== null ? formatYieldPercent(v) : '--', yield: true }
+    ],
+
+    /**
+     * Fetch the chain for one expiration and side and build the table rows
+     */
+    async load(ticker, expiration, side, S) {
+        const chain = await MarketData.getOptionChain(ticker, { expiration, side });
+        const expiry = MarketCalendar.timeToExpiry(expiration);
+
+        this.ticker = ticker;
+        this.expiration = expiration;
+        this.side = side;
+        this.rows = chain
+            .filter(option => option.side === side && option.strike > 0)
+            .map(option => this.buildRow(option, S, expiry));
+        this.render();
+    },
+
+    /**
+     * Table row for one contract - IV is solved from the mid when the feed has none
+     */
+    buildRow(option, S, expiry) {
+        const mid = option.mid || ((option.bid || 0) + (option.ask || 0)) / 2;
+        const metrics = computeYieldMetrics(S, option.strike, expiry, mid, option.side);
+        const r = RateCurve.continuousRate(expiry.calendarDays);
+        const number = (value) => typeof value === 'number' ? value : null;
+
+        const iv = BlackScholes.chainIV(option, mid, S, expiry.calendarT, r);
+
+        return {
+            strike: option.strike,
+            bid: number(option.bid),
+            ask: number(option.ask),
+            mid,
+            delta: number(option.delta),
+            iv,
+            openInterest: number(option.openInterest),
+            volume: number(option.volume),
+            // Negative when in the money
+            otmPercent: option.side === 'put' ? (S - option.strike) / S : (option.strike - S) / S,
+            periodYield: metrics ? metrics.periodYield : null,
+            annualizedYield: metrics ? metrics.annualizedYield : null
+        };
+    },
+
+    /**
+     * Sort by a column; clicking the same column again flips the direction
+     */
+    sort(key) {
+        if (this.sortKey === key) {
+            this.sortAscending = !this.sortAscending;
+        } else {
+            this.sortKey = key;
+            // Yields and liquidity read best high-to-low
+            this.sortAscending = ['strike', 'otmPercent', 'delta'].includes(key);
+        }
+        this.render();
+    },
+
+    sortedRows() {
+        const key = this.sortKey;
+        const dir = this.sortAscending ? 1 : -1;
+        // Missing values always sink to the bottom
+        return this.rows.slice().sort((a, b) => {
+            if (a[key] === null && b[key] === null) return 0;
+            if (a[key] === null) return 1;
+            if (b[key] === null) return -1;
+            return (a[key] - b[key]) * dir;
+        });
+    },
+
+    render() {
+        const table = document.getElementById('chain-table');
+        const caption = document.getElementById('chain-caption');
+        if (!table) return;
+
+        if (this.rows.length === 0) {
+            table.innerHTML = '';
+            caption.textContent = 'No chain loaded';
+            return;
+        }
+
+        const events = this.ticker === EventCalendar.ticker ? EventCalendar.eventsBefore(this.expiration) : [];
+        caption.textContent = `${this.ticker} ${this.expiration} ${this.side}s - ${this.rows.length} strikes, yields on mid` +
+            (events.length ? ` | ⚑ ${events.map(e => EventCalendar.describe(e)).join(', ')}` : '');
+
+        const arrow = this.sortAscending ? ' &#9650;' : ' &#9660;';
+        const header = this.columns.map(col =>
+            `<th class="${col.key === this.sortKey ? 'sorted' : ''}" onclick="sortChainTable('${col.key}')">${col.label}${col.key === this.sortKey ? arrow : ''}</th>`
+        ).join('');
+
+        const isSelected = (row) => this.ticker === currentTicker && this.expiration === currentExpiration &&
+            this.side === currentOptionType && row.strike === currentStrike;
+
+        const body = this.sortedRows().map(row => {
+            const classes = [row.otmPercent < 0 ? 'itm' : '', isSelected(row) ? 'selected' : ''].join(' ').trim();
+            const cells = this.columns.map(col => {
+                const colorClass = col.yield && row[col.key] !== null ? ' class="' + yieldColorClass(row[col.key]) + '"' : '';
+                return `<td${colorClass}>${col.format(row[col.key])}</td>`;
+            }).join('');
+            return `<tr class="${classes}" onclick="selectChainStrike(${row.strike})">${cells}</tr>`;
+        }).join('');
+
+        table.innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+    }
+};
+
+// Global function for the load button
+async function loadChainTable() {
+    const statusEl = document.getElementById('chain-status');
+
+    if (!currentTicker || !currentExpiration || !currentStockPrice) {
+        statusEl.textContent = 'Select a ticker and expiration first';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    statusEl.textContent = `Loading ${currentExpiration} ${currentOptionType} chain...`;
+    statusEl.className = 'status-message loading';
+
+    try {
+        await ChainTable.load(currentTicker, currentExpiration, currentOptionType, currentStockPrice);
+        statusEl.textContent = '';
+        statusEl.className = 'status-message';
+    } catch (error) {
+        console.error('Error loading chain:', error);
+        statusEl.textContent = `Error: ${error.message}`;
+        statusEl.className = 'status-message error';
+    }
+}
+
+// Global function for the column headers
+function sortChainTable(key) {
+    ChainTable.sort(key);
+}
+
+// Global function for row clicks - load the strike into the main view
+async function selectChainStrike(strike) {
+    if (ChainTable.ticker !== currentTicker) return;
+
+    await selectContract(ChainTable.side, ChainTable.expiration, strike);
+    ChainTable.render();
+}
@@ -80,8 +80,9 @@ const PLChart = {
 
     /**
      * Calculate P/L data points
+     * @param {number|Function} sigma - Flat vol in the selected model's convention, or spot => vol from the fitted surface
      */
-    calculatePLData(type, S, K, T, r, sigma, q, premium, contracts, position) {
+    calculatePLData(type, S, K, T, r, sigma, q, premium, contracts, position, dividends = null) {
         const multiplier = position === 'long' ? 1 : -1;
         const contractSize = 100; // Standard options contract
 
@@ -93,7 +94,18 @@ const PLChart = {
         const expiryData = [];
         const currentData = [];
 
+        const prices = [];
         for (let price = minPrice; price <= maxPrice; price += step) {
+            prices.push(price);
+        }
+
+        // Current values for every hypothetical spot under the selected pricing model
+        const sigmas = typeof sigma === 'function' ? prices.map(sigma) : sigma;
+        const currentValues = T > 0
+            ? PricingModels.priceMany(type, prices, K, T, r, sigmas, q, dividends)
+            : null;
+
+        prices.forEach((price, i) => {
             // P/L at expiration
             let expiryPL;
             if (type === 'call') {
@@ -104,14 +116,13 @@ const PLChart = {
             expiryPL *= contractSize * contracts;
             expiryData.push({ price, pl: expiryPL });
 
-            // Current P/L (using Black-Scholes)
-            if (T > 0) {
-                const currentValue = BlackScholes.price(type, price, K, T, r, sigma, q);
-                let currentPL = (currentValue - premium) * multiplier;
+            // Current P/L
+            if (currentValues) {
+                let currentPL = (currentValues[i] - premium) * multiplier;
                 currentPL *= contractSize * contracts;
                 currentData.push({ price, pl: currentPL });
             }
-        }
+        });
 
         // Calculate breakeven
         let breakeven;
@@ -155,8 +166,8 @@ const PLChart = {
     /**
      * Update chart with new data
      */
-    update(type, S, K, T, r, sigma, q, premium, contracts) {
-        this.data = this.calculatePLData(type, S, K, T, r, sigma, q, premium, contracts, this.position);
+    update(type, S, K, T, r, sigma, q, premium, contracts, dividends = null) {
+        this.data = this.calculatePLData(type, S, K, T, r, sigma, q, premium, contracts, this.position, dividends);
         this.data.type = type;
         this.data.premium = premium;
         this.data.contracts = contracts;
@@ -611,8 +622,9 @@ function updateChart() {
 
     const T = days / 365;
     const premium = BlackScholes.price(currentOptionType, S, K, T, r, sigma, q);
+    const modelSigma = PricingModels.volatility(currentOptionType, S, K, T, r, sigma, q, null, premium);
 
-    PLChart.update(currentOptionType, S, K, T, r, sigma, q, premium, contracts);
+    PLChart.update(currentOptionType, S, K, T, r, modelSigma, q, premium, contracts);
 }
 
 // Initialize chart when DOM is ready
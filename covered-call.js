@@ -0,0 +1,210 @@
+/**
+ * Covered Call Analysis
+ * Returns on a call written against shares already held, measured against
+ * the user's own cost basis and holding period rather than today's price.
+ * Positions (cost basis, purchase date, share count) are kept per ticker.
+ */
+
+const CoveredCall = {
+    storageKey: 'covered_call_positions',
+    ticker: '',
+
+    /**
+     * Saved position for a ticker
+     * @returns {Object} { enabled, costBasis, purchaseDate, shares }
+     */
+    position(ticker) {
+        let all;
+        try {
+            all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            all = {};
+        }
+        return Object.assign({ enabled: false, costBasis: null, purchaseDate: '', shares: 100 }, all[ticker] || {});
+    },
+
+    save(ticker, position) {
+        let all;
+        try {
+            all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            all = {};
+        }
+        all[ticker] = position;
+        localStorage.setItem(this.storageKey, JSON.stringify(all));
+    },
+
+    /**
+     * Each contract needs 100 shares to be covered
+     */
+    maxContracts(shares) {
+        return Math.floor((shares || 0) / 100);
+    },
+
+    /**
+     * First day a sale counts as long-term - held more than one year
+     */
+    longTermDate(purchaseDate) {
+        const [y, m, d] = purchaseDate.split('-').map(Number);
+        // A Feb 29 purchase has its anniversary on Feb 28
+        const lastDay = new Date(Date.UTC(y + 1, m, 0)).getUTCDate();
+        return MarketCalendar.addDays(MarketCalendar.ymd(y + 1, m, Math.min(d, lastDay)), 1);
+    },
+
+    /**
+     * Static, if-called and downside figures for selling calls against the position
+     * Static assumes the stock finishes unchanged below the strike; if-called assumes
+     * assignment at expiration. Dividends are those with ex-dates before expiration.
+     * @param {Object} expiry - MarketCalendar.timeToExpiry result
+     * @returns {Object|null} null when the position is incomplete
+     */
+    analyze(position, S, K, premium, expiration, expiry, dividends = 0) {
+        const basis = position.costBasis;
+        const today = MarketCalendar.etParts(new Date()).date;
+        if (!(basis > 0) || !position.purchaseDate || position.purchaseDate > today || !(premium > 0)) return null;
+
+        const period = MarketCalendar.annualizationBasis(expiry);
+        if (period.days <= 0) return null;
+
+        const staticReturn = (premium + dividends) / basis;
+        const ifCalledReturn = (premium + dividends + K - basis) / basis;
+
+        // The if-called gain built up over the whole holding period, not just this contract
+        const holdingDays = Math.max(1, MarketCalendar.daysBetween(position.purchaseDate, expiration));
+        const longTermDate = this.longTermDate(position.purchaseDate);
+
+        return {
+            staticReturn,
+            staticAnnualized: staticReturn * (period.daysPerYear / period.days),
+            ifCalledReturn,
+            ifCalledAnnualized: ifCalledReturn * (365 / holdingDays),
+            holdingDays,
+            // How far the stock can fall from here before the premium is used up
+            downsideProtection: premium / S,
+            breakeven: basis - premium - dividends,
+            // Premium on a call that is exercised is added to the amount realized on the shares
+            gainPerShare: K + premium - basis,
+            longTermDate,
+            longTerm: expiration >= longTermDate,
+            turnsLongTermBeforeExpiry: today < longTermDate && longTermDate <= expiration
+        };
+    }
+};
+
+/**
+ * Read the covered-call inputs into a position (saving is left to onCoveredCallChange)
+ */
+function readCoveredCallInputs() {
+    return {
+        enabled: document.getElementById('covered-enabled').checked,
+        costBasis: parseFloat(document.getElementById('covered-basis').value) || null,
+        purchaseDate: document.getElementById('covered-date').value,
+        shares: parseInt(document.getElementById('covered-shares').value) || 0
+    };
+}
+
+/**
+ * Limit the contract count to the shares held
+ */
+function applyShareCap(position) {
+    const input = document.getElementById('yield-contracts');
+    const max = CoveredCall.maxContracts(position.shares);
+
+    if (!position.enabled || max < 1) {
+        input.max = 9999;
+        return false;
+    }
+    input.max = max;
+    if ((parseInt(input.value) || 1) > max) {
+        input.value = max;
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Show the covered-call block for calls, filled from the position saved for the ticker
+ * @param {Object|null} expiry - MarketCalendar.timeToExpiry result, null to clear
+ */
+function displayCoveredCall(S, K, expiry, premium, type) {
+    const section = document.getElementById('covered-call-section');
+    if (!section) return;
+
+    section.style.display = type === 'call' ? '' : 'none';
+    if (type !== 'call') {
+        document.getElementById('yield-contracts').max = 9999;
+        return;
+    }
+
+    // Load the saved position when the ticker changes
+    if (CoveredCall.ticker !== currentTicker) {
+        const saved = CoveredCall.position(currentTicker);
+        document.getElementById('covered-enabled').checked = saved.enabled;
+        document.getElementById('covered-basis').value = saved.costBasis || '';
+        document.getElementById('covered-date').value = saved.purchaseDate;
+        document.getElementById('covered-shares').value = saved.shares || '';
+        CoveredCall.ticker = currentTicker;
+    }
+
+    const position = readCoveredCallInputs();
+    document.getElementById('covered-inputs').style.display = position.enabled ? '' : 'none';
+    document.getElementById('covered-results').style.display = 'none';
+
+    const noteEl = document.getElementById('covered-note');
+    noteEl.textContent = '';
+    noteEl.className = 'covered-note';
+    if (applyShareCap(position)) updatePremiumCalculation();
+    if (!position.enabled) return;
+
+    const contracts = parseInt(document.getElementById('yield-contracts').value) || 1;
+    const maxContracts = CoveredCall.maxContracts(position.shares);
+    if (maxContracts < 1) {
+        noteEl.textContent = 'Each contract needs 100 shares - enter at least 100 to write a covered call';
+        noteEl.classList.add('error');
+        return;
+    }
+
+    const dividends = expiry && DividendSchedule.ticker === currentTicker ? DividendSchedule.totalBefore(currentExpiration) : 0;
+    const result = expiry ? CoveredCall.analyze(position, S, K, premium, currentExpiration, expiry, dividends) : null;
+    if (!result) {
+        noteEl.textContent = 'Enter a cost basis and a purchase date on or before today';
+        return;
+    }
+
+    document.getElementById('covered-results').style.display = '';
+    updateDisplay('covered-static', formatYieldPercent(result.staticReturn));
+    updateDisplay('covered-static-annualized', formatYieldPercent(result.staticAnnualized));
+    updateDisplay('covered-if-called', formatYieldPercent(result.ifCalledReturn));
+    updateDisplay('covered-if-called-annualized', formatYieldPercent(result.ifCalledAnnualized));
+    updateDisplay('covered-protection', formatYieldPercent(result.downsideProtection));
+    updateDisplay('covered-breakeven', formatCurrency(result.breakeven));
+    document.getElementById('covered-holding-desc').textContent = `Over ${result.holdingDays} days held to expiration`;
+    document.getElementById('covered-static-desc').textContent =
+        dividends > 0 ? `(Premium + ${formatCurrency(dividends)} dividends) / Basis` : 'Premium / Cost basis';
+    applyYieldColor('covered-static-annualized', result.staticAnnualized);
+    applyYieldColor('covered-if-called-annualized', result.ifCalledAnnualized);
+    applyYieldColor('covered-if-called', result.ifCalledReturn);
+
+    // Tax character of the shares if they are called away at expiration
+    const shares = contracts * 100;
+    const gain = result.gainPerShare * shares;
+    const character = result.longTerm ? 'long-term' : 'short-term';
+    let tax = `If called: ${shares} shares sold for ${formatCurrency(K + premium)}/share (strike + premium) - ` +
+        `${formatCurrency(Math.abs(gain))} ${character} capital ${gain >= 0 ? 'gain' : 'loss'}.`;
+    if (result.turnsLongTermBeforeExpiry) {
+        tax += ` The shares turn long-term on ${result.longTermDate}; an early assignment before then is short-term.`;
+    } else if (!result.longTerm) {
+        tax += ` Long-term from ${result.longTermDate}.`;
+    }
+    if (!result.longTerm && K < S) {
+        tax += ' An in-the-money call may not be a qualified covered call, which suspends the holding period.';
+    }
+    noteEl.textContent = tax;
+}
+
+// Global function for the covered-call inputs
+function onCoveredCallChange() {
+    // Only a user edit is saved - repricing ticks just read the inputs
+    if (currentTicker) CoveredCall.save(currentTicker, readCoveredCallInputs());
+    refreshPricing();
+}
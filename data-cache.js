@@ -0,0 +1,161 @@
+/**
+ * Client-side Response Cache
+ * IndexedDB-backed store in front of the market data provider, with a TTL
+ * per request type. Falls back to an in-memory map when IndexedDB is
+ * unavailable (e.g. some private-browsing modes).
+ */
+
+const DataCache = {
+    dbName: 'options-yield-cache',
+    storeName: 'responses',
+
+    // Milliseconds each request type stays fresh
+    ttl: {
+        getStockQuote: 15 * 1000,
+        getOptionQuote: 15 * 1000,
+        getOptionChain: 60 * 1000,
+        getStrikes: 60 * 60 * 1000,
+        getExpirations: 24 * 60 * 60 * 1000,
+        getDividends: 24 * 60 * 60 * 1000,
+        getEarnings: 24 * 60 * 60 * 1000,
+        getCandles: 60 * 60 * 1000,
+        getIvHistory: 24 * 60 * 60 * 1000
+    },
+
+    enabled: typeof localStorage === 'undefined' || localStorage.getItem('cache_enabled') !== 'false',
+
+    dbPromise: null,
+    memory: {},
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('cache_enabled', enabled ? 'true' : 'false');
+        }
+    },
+
+    /**
+     * Open (once) the database; resolves to null when IndexedDB is unusable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.prune(request.result);
+                resolve(request.result);
+            };
+            request.onerror = () => {
+                console.log('IndexedDB unavailable, caching in memory:', request.error);
+                resolve(null);
+            };
+        });
+        return this.dbPromise;
+    },
+
+    /**
+     * Run one request against the object store
+     */
+    transact(db, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+            const request = operation(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * @returns {Object|null} { value, storedAt }
+     */
+    async get(key) {
+        const db = await this.open();
+        if (!db) return this.memory[key] || null;
+
+        try {
+            return (await this.transact(db, 'readonly', store => store.get(key))) || null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    async set(key, value) {
+        const entry = { value, storedAt: Date.now() };
+        const db = await this.open();
+        if (!db) {
+            this.memory[key] = entry;
+            return entry;
+        }
+
+        try {
+            await this.transact(db, 'readwrite', store => store.put(entry, key));
+        } catch (error) {
+            console.log('Cache write failed:', error);
+        }
+        return entry;
+    },
+
+    async clear() {
+        this.memory = {};
+        const db = await this.open();
+        if (db) {
+            await this.transact(db, 'readwrite', store => store.clear());
+        }
+    },
+
+    /**
+     * Drop entries older than the longest TTL so the store does not grow forever
+     */
+    prune(db) {
+        const cutoff = Date.now() - Math.max(...Object.values(this.ttl));
+        const store = db.transaction(this.storeName, 'readwrite').objectStore(this.storeName);
+        store.openCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            if (cursor.value.storedAt < cutoff) cursor.delete();
+            cursor.continue();
+        };
+    },
+
+    /**
+     * Return a fresh cached value or load and store a new one
+     * @param {string} key - Cache key
+     * @param {number} ttl - Freshness window in milliseconds
+     * @param {Function} loader - Async function producing the value on a miss
+     * @param {Object} options - { bypass: true } skips the read for this call (a
+     *   refresh or live poll); the fresh value is still stored
+     * @returns {Object} { value, storedAt, cached }
+     */
+    async fetch(key, ttl, loader, options = {}) {
+        const useCache = this.enabled && !options.bypass;
+
+        if (useCache) {
+            const entry = await this.get(key);
+            if (entry && Date.now() - entry.storedAt < ttl) {
+                return { value: entry.value, storedAt: entry.storedAt, cached: true };
+            }
+        }
+
+        const value = await loader();
+        // A disabled cache stores nothing - not even in memory
+        if (!this.enabled) {
+            return { value, storedAt: Date.now(), cached: false };
+        }
+        const entry = await this.set(key, value);
+        return { value, storedAt: entry.storedAt, cached: false };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataCache;
+}
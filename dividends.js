@@ -0,0 +1,180 @@
+/**
+ * Discrete Cash Dividend Schedule
+ * Holds upcoming ex-dates/amounts for the current ticker, filled from the
+ * data provider when it has them and editable by hand otherwise
+ */
+
+const DividendSchedule = {
+    // [{ exDate: 'YYYY-MM-DD', amount, source: 'provider' | 'manual' }]
+    dividends: [],
+    ticker: '',
+    onChange: null,
+    loadId: 0,
+
+    /**
+     * Fetch upcoming dividends from the market data provider
+     * Not every plan exposes dividend data - any failure leaves the list for
+     * manual entry instead of blocking the quote
+     */
+    async fetch(ticker, options = {}) {
+        // Manual entries survive a refresh of the same ticker only
+        this.dividends = ticker === this.ticker
+            ? this.dividends.filter(div => div.source === 'manual')
+            : [];
+        this.ticker = ticker;
+        const loadId = ++this.loadId;
+
+        try {
+            const today = this.todayString();
+            const dividends = await MarketData.getDividends(ticker, options);
+            // A fetch for another ticker started while this one was out
+            if (loadId !== this.loadId) return;
+
+            dividends.forEach(div => {
+                const date = this.normalizeDate(div.exDate);
+                if (date && date >= today && div.amount > 0) {
+                    this.dividends.push({ exDate: date, amount: div.amount, source: 'provider' });
+                }
+            });
+        } catch (error) {
+            if (loadId !== this.loadId) return;
+            console.log('Dividend lookup unavailable, using manual entries:', error.message);
+        }
+
+        this.sort();
+        this.render();
+    },
+
+    /**
+     * Provider dates may be unix seconds or ISO strings
+     */
+    normalizeDate(value) {
+        if (typeof value === 'number') {
+            return new Date(value * 1000).toISOString().slice(0, 10);
+        }
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+            return value.slice(0, 10);
+        }
+        return null;
+    },
+
+    todayString() {
+        const today = new Date();
+        const mm = String(today.getMonth() + 1).padStart(2, '0');
+        const dd = String(today.getDate()).padStart(2, '0');
+        return `${today.getFullYear()}-${mm}-${dd}`;
+    },
+
+    sort() {
+        this.dividends.sort((a, b) => a.exDate.localeCompare(b.exDate));
+    },
+
+    /**
+     * Add a manual dividend entry
+     */
+    add(exDate, amount) {
+        if (!exDate || !(amount > 0)) return false;
+
+        this.dividends.push({ exDate, amount, source: 'manual' });
+        this.sort();
+        this.render();
+        this.notify();
+        return true;
+    },
+
+    /**
+     * Remove a dividend by index
+     */
+    remove(index) {
+        this.dividends.splice(index, 1);
+        this.render();
+        this.notify();
+    },
+
+    notify() {
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    },
+
+    /**
+     * Drop every entry, provider and manual (e.g. after a failed load)
+     */
+    clear() {
+        this.dividends = [];
+        this.render();
+    },
+
+    /**
+     * Dividends going ex from today through the expiration, inclusive
+     * The one filter behind both pricing and the event warnings
+     */
+    upcoming(expiration) {
+        const today = this.todayString();
+        return this.dividends.filter(div => div.exDate >= today && div.exDate <= expiration);
+    },
+
+    /**
+     * Convert to the pricing-model form [{ t, amount }] (t in years from now)
+     * Only dividends going ex on or before the expiration are kept
+     */
+    toSchedule(expiration) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        return this.upcoming(expiration).map(div => ({
+            t: Math.max(1, (new Date(div.exDate + 'T00:00:00') - today) / (1000 * 60 * 60 * 24)) / 365,
+            amount: div.amount
+        }));
+    },
+
+    /**
+     * Total cash dividends going ex before the expiration
+     */
+    totalBefore(expiration) {
+        return this.toSchedule(expiration).reduce((sum, div) => sum + div.amount, 0);
+    },
+
+    /**
+     * Render the dividend list
+     */
+    render() {
+        const listEl = document.getElementById('dividend-list');
+        if (!listEl) return;
+
+        if (this.dividends.length === 0) {
+            listEl.innerHTML = '<div class="dividend-empty">No upcoming dividends</div>';
+            return;
+        }
+
+        listEl.innerHTML = this.dividends.map((div, i) => `
+            <div class="dividend-row">
+                <span class="dividend-date">${div.exDate}</span>
+                <span class="dividend-amount">$${div.amount.toFixed(4)}</span>
+                <span class="dividend-source ${div.source}">${div.source === 'provider' ? 'Provider' : 'Manual'}</span>
+                <button class="dividend-remove" onclick="removeDividend(${i})" title="Remove">&times;</button>
+            </div>
+        `).join('');
+    }
+};
+
+// Global function for the add-dividend button
+function addDividend() {
+    const dateInput = document.getElementById('dividend-date');
+    const amountInput = document.getElementById('dividend-amount');
+
+    if (DividendSchedule.add(dateInput.value, parseFloat(amountInput.value))) {
+        dateInput.value = '';
+        amountInput.value = '';
+    }
+}
+
+// Global function for the per-row remove button
+function removeDividend(index) {
+    DividendSchedule.remove(index);
+}
+
+// Render the empty list when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    DividendSchedule.render();
+});
@@ -0,0 +1,256 @@
+/**
+ * Corporate Event Calendar
+ * Earnings report dates (provider first, manual entries as a fallback) merged
+ * with the ex-dividend dates in DividendSchedule, so expirations that span
+ * an event can be flagged and short calls checked for early assignment
+ */
+
+const EventCalendar = {
+    // [{ date: 'YYYY-MM-DD', reportTime: 'before' | 'after' | null, source: 'provider' | 'manual' }]
+    earnings: [],
+    ticker: '',
+    onChange: null,
+    loadId: 0,
+
+    timeLabels: { before: 'before open', after: 'after close' },
+
+    /**
+     * Fetch upcoming earnings dates from the market data provider
+     * Failures leave the list for manual entry, like DividendSchedule.fetch
+     */
+    async fetch(ticker, options = {}) {
+        // Manual entries survive a refresh of the same ticker only
+        this.earnings = ticker === this.ticker
+            ? this.earnings.filter(report => report.source === 'manual')
+            : [];
+        this.ticker = ticker;
+        const loadId = ++this.loadId;
+
+        try {
+            const today = this.today();
+            const reports = await MarketData.getEarnings(ticker, options);
+            // A fetch for another ticker started while this one was out
+            if (loadId !== this.loadId) return;
+
+            reports.forEach(report => {
+                const date = DividendSchedule.normalizeDate(report.reportDate);
+                if (date && date >= today && !this.earnings.some(e => e.date === date)) {
+                    this.earnings.push({ date, reportTime: report.reportTime || null, source: 'provider' });
+                }
+            });
+        } catch (error) {
+            if (loadId !== this.loadId) return;
+            console.log('Earnings lookup unavailable, using manual entries:', error.message);
+        }
+
+        this.sort();
+        this.render();
+    },
+
+    /**
+     * Drop every entry, provider and manual (e.g. after a failed load)
+     */
+    clear() {
+        this.earnings = [];
+        this.render();
+    },
+
+    today() {
+        return MarketCalendar.etParts(new Date()).date;
+    },
+
+    sort() {
+        this.earnings.sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Add a manual earnings date
+     */
+    add(date, reportTime) {
+        if (!date) return false;
+
+        this.earnings = this.earnings.filter(report => report.date !== date);
+        this.earnings.push({ date, reportTime: reportTime || null, source: 'manual' });
+        this.sort();
+        this.render();
+        this.notify();
+        return true;
+    },
+
+    /**
+     * Remove an earnings date by index
+     */
+    remove(index) {
+        this.earnings.splice(index, 1);
+        this.render();
+        this.notify();
+    },
+
+    notify() {
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    },
+
+    /**
+     * Earnings reports and ex-dividend dates a position open now would live through
+     * An after-close report on expiration day lands after the contract is settled;
+     * an ex-date on expiration day still counts (calls get exercised the day before)
+     * @returns {Array} [{ type: 'earnings' | 'dividend', date, reportTime?, amount? }]
+     */
+    eventsBefore(expiration) {
+        const today = this.today();
+        const events = [];
+
+        this.earnings.forEach(report => {
+            if (report.date < today || report.date > expiration) return;
+            if (report.date === expiration && report.reportTime === 'after') return;
+            events.push({ type: 'earnings', date: report.date, reportTime: report.reportTime });
+        });
+
+        // Ex-dates belong to whichever ticker DividendSchedule last loaded;
+        // the same window toSchedule prices, so an ex-date today is listed too
+        const dividends = DividendSchedule.ticker === this.ticker ? DividendSchedule.upcoming(expiration) : [];
+        dividends.forEach(div => {
+            events.push({ type: 'dividend', date: div.exDate, amount: div.amount });
+        });
+
+        return events.sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * One-line description of an event, e.g. "Earnings 11/04 after close"
+     */
+    describe(event) {
+        const date = event.date.slice(5).replace('-', '/');
+        if (event.type === 'earnings') {
+            return `Earnings ${date}${event.reportTime ? ' ' + this.timeLabels[event.reportTime] : ''}`;
+        }
+        return `Ex-div ${date} ($${event.amount.toFixed(2)})`;
+    },
+
+    /**
+     * Warnings for selling this contract through the events before expiration
+     * Short calls: an in-the-money call whose time value is below the dividend is
+     * worth more to the holder exercised the day before the ex-date
+     * @returns {Array} [{ level: 'danger' | 'warning' | 'info', message }]
+     */
+    warnings(type, S, K, premium, expiration) {
+        const warnings = [];
+        const extrinsic = Math.max(0, premium - BlackScholes.intrinsicValue(type, S, K));
+
+        this.eventsBefore(expiration).forEach(event => {
+            const label = this.describe(event);
+
+            if (event.type === 'earnings') {
+                warnings.push({
+                    level: 'warning',
+                    message: `${label} - the stock can gap through the strike; IV and premium include the event`
+                });
+                return;
+            }
+
+            if (type === 'put') {
+                warnings.push({
+                    level: 'info',
+                    message: `${label} - the stock should open lower by about the dividend, moving the put toward the money`
+                });
+                return;
+            }
+
+            const exerciseDay = MarketCalendar.previousTradingDay(event.date);
+            if (S > K && extrinsic < event.amount) {
+                warnings.push({
+                    level: 'danger',
+                    message: `${label} - high early-assignment risk: the call is in the money and its time value ` +
+                        `($${extrinsic.toFixed(2)}) is below the dividend. Expect exercise around ${exerciseDay}`
+                });
+            } else if (S + event.amount > K) {
+                warnings.push({
+                    level: 'warning',
+                    message: `${label} - early assignment is possible if the call is in the money with time value under ` +
+                        `$${event.amount.toFixed(2)} on ${exerciseDay}`
+                });
+            } else {
+                warnings.push({
+                    level: 'info',
+                    message: `${label} - out of the money for now; early assignment unlikely unless the stock rallies past the strike`
+                });
+            }
+        });
+
+        return warnings;
+    },
+
+    /**
+     * Append event markers to the expiration dropdown labels
+     */
+    annotateExpirations() {
+        const select = document.getElementById('expiration-select');
+        if (!select) return;
+
+        Array.from(select.options).forEach(option => {
+            if (!option.value) return;
+            if (!option.dataset.label) option.dataset.label = option.textContent;
+
+            const events = this.eventsBefore(option.value);
+            const markers = [];
+            if (events.some(e => e.type === 'earnings')) markers.push('Earnings');
+            if (events.some(e => e.type === 'dividend')) markers.push('Ex-div');
+            option.textContent = option.dataset.label + (markers.length ? ` ⚑ ${markers.join(', ')}` : '');
+        });
+    },
+
+    /**
+     * Render the earnings list
+     */
+    render() {
+        const listEl = document.getElementById('earnings-list');
+        if (!listEl) return;
+
+        if (this.earnings.length === 0) {
+            listEl.innerHTML = '<div class="dividend-empty">No upcoming earnings dates</div>';
+            return;
+        }
+
+        listEl.innerHTML = this.earnings.map((report, i) => `
+            <div class="dividend-row">
+                <span class="dividend-date">${report.date}</span>
+                <span>${report.reportTime ? this.timeLabels[report.reportTime] : 'time unknown'}</span>
+                <span class="dividend-source ${report.source}">${report.source === 'provider' ? 'Provider' : 'Manual'}</span>
+                <button class="dividend-remove" onclick="removeEarningsDate(${i})" title="Remove">&times;</button>
+            </div>
+        `).join('');
+    }
+};
+
+/**
+ * Show event warnings in the yield analysis
+ */
+function displayEventWarnings(warnings) {
+    const el = document.getElementById('event-warnings');
+    if (!el) return;
+
+    el.innerHTML = warnings.map(w => `<div class="event-warning ${w.level}">${w.message}</div>`).join('');
+    el.style.display = warnings.length ? '' : 'none';
+}
+
+// Global function for the add-earnings button
+function addEarningsDate() {
+    const dateInput = document.getElementById('earnings-date');
+    const timeInput = document.getElementById('earnings-time');
+
+    if (EventCalendar.add(dateInput.value, timeInput.value)) {
+        dateInput.value = '';
+    }
+}
+
+// Global function for the per-row remove button
+function removeEarningsDate(index) {
+    EventCalendar.remove(index);
+}
+
+// Render the empty list when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    EventCalendar.render();
+});
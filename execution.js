@@ -0,0 +1,189 @@
+/**
+ * Execution Model
+ * Where a sell order is assumed to fill (bid, mid, ask, a limit, or mid less a
+ * share of the spread) and what it costs (commission, regulatory fees and the
+ * assignment/exercise fee), with fees kept per broker profile
+ */
+
+const ExecutionModel = {
+    // mode: 'bid' | 'mid' | 'ask' | 'limit' | 'spread'
+    fill: { mode: 'mid', limit: null, spreadPercent: 25 },
+
+    // Fees in dollars - commission and regulatory fees per contract, assignment per assignment
+    builtInProfiles: {
+        standard: { name: 'Standard ($0.65/contract)', commission: 0.65, regulatoryFees: 0.03, assignmentFee: 0 },
+        zero: { name: 'Zero commission', commission: 0, regulatoryFees: 0.03, assignmentFee: 0 },
+        legacy: { name: 'Per-contract + assignment fee', commission: 1.00, regulatoryFees: 0.03, assignmentFee: 5.00 }
+    },
+    profiles: {},
+    selected: 'standard',
+
+    load() {
+        const stored = (key) => {
+            try {
+                return JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        this.fill = Object.assign({}, this.fill, stored('execution_fill') || {});
+        this.profiles = Object.assign({}, JSON.parse(JSON.stringify(this.builtInProfiles)), stored('broker_profiles') || {});
+        const selected = localStorage.getItem('broker_profile');
+        this.selected = this.profiles[selected] ? selected : 'standard';
+    },
+
+    save() {
+        localStorage.setItem('execution_fill', JSON.stringify(this.fill));
+        localStorage.setItem('broker_profiles', JSON.stringify(this.profiles));
+        localStorage.setItem('broker_profile', this.selected);
+    },
+
+    profile() {
+        return this.profiles[this.selected] || this.builtInProfiles.standard;
+    },
+
+    /**
+     * Create a profile from the current fees and select it
+     */
+    addProfile(name) {
+        name = name.trim();
+        if (!name) return false;
+
+        const id = 'custom-' + name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.profiles[id] = Object.assign({}, this.profile(), { name });
+        this.selected = id;
+        this.save();
+        return true;
+    },
+
+    /**
+     * Delete the selected profile (built-ins are reset instead)
+     */
+    removeProfile() {
+        if (this.builtInProfiles[this.selected]) {
+            this.profiles[this.selected] = Object.assign({}, this.builtInProfiles[this.selected]);
+        } else {
+            delete this.profiles[this.selected];
+            this.selected = 'standard';
+        }
+        this.save();
+    },
+
+    /**
+     * Assumed fill for a sell order
+     */
+    fillPrice(bid, ask) {
+        const mid = (bid + ask) / 2;
+        switch (this.fill.mode) {
+            case 'bid': return bid;
+            case 'ask': return ask;
+            case 'limit': return this.fill.limit > 0 ? this.fill.limit : mid;
+            // Concede a share of the full spread from mid toward the bid (50% = the bid)
+            case 'spread': return Math.max(0, mid - (this.fill.spreadPercent / 100) * (ask - bid));
+            default: return mid;
+        }
+    },
+
+    /**
+     * Premium and fees for an order of n contracts
+     * @returns {Object} { fill, openFees, grossPremium, netPremium, netPerShare, assignmentFeePerShare }
+     */
+    costs(bid, ask, contracts) {
+        const p = this.profile();
+        const fill = this.fillPrice(bid, ask);
+        const openFees = contracts * (p.commission + p.regulatoryFees);
+        const netPremium = contracts * 100 * fill - openFees;
+
+        return {
+            fill,
+            openFees,
+            assignmentFee: p.assignmentFee,
+            grossPremium: contracts * 100 * (bid + ask) / 2,
+            netPremium,
+            netPerShare: netPremium / (contracts * 100),
+            assignmentFeePerShare: p.assignmentFee / (contracts * 100)
+        };
+    }
+};
+
+/**
+ * Copy the execution inputs into ExecutionModel and persist them
+ */
+function readExecutionInputs() {
+    const number = (id) => parseFloat(document.getElementById(id).value);
+    const model = ExecutionModel;
+
+    model.fill.mode = document.getElementById('fill-mode').value;
+    model.fill.limit = number('fill-limit') > 0 ? number('fill-limit') : null;
+    model.fill.spreadPercent = isFinite(number('fill-spread')) ? Math.min(100, Math.max(0, number('fill-spread'))) : 25;
+
+    const profile = model.profile();
+    profile.commission = Math.max(0, number('fee-commission') || 0);
+    profile.regulatoryFees = Math.max(0, number('fee-regulatory') || 0);
+    profile.assignmentFee = Math.max(0, number('fee-assignment') || 0);
+    model.save();
+}
+
+/**
+ * Fill the execution inputs from ExecutionModel
+ */
+function displayExecutionInputs() {
+    const model = ExecutionModel;
+    const profile = model.profile();
+
+    document.getElementById('fill-mode').value = model.fill.mode;
+    document.getElementById('fill-limit').value = model.fill.limit || '';
+    document.getElementById('fill-spread').value = model.fill.spreadPercent;
+    document.getElementById('fill-limit').style.display = model.fill.mode === 'limit' ? '' : 'none';
+    document.getElementById('fill-spread-group').style.display = model.fill.mode === 'spread' ? '' : 'none';
+
+    // Profile names are user-typed - set them as text, never as markup
+    const select = document.getElementById('broker-profile');
+    select.replaceChildren(...Object.entries(model.profiles).map(([id, p]) => new Option(p.name, id)));
+    select.value = model.selected;
+
+    document.getElementById('fee-commission').value = profile.commission;
+    document.getElementById('fee-regulatory').value = profile.regulatoryFees;
+    document.getElementById('fee-assignment').value = profile.assignmentFee;
+    document.getElementById('remove-profile-btn').textContent =
+        model.builtInProfiles[model.selected] ? 'Reset profile' : 'Delete profile';
+}
+
+// Global function for every fill and fee input
+function onExecutionChange() {
+    readExecutionInputs();
+    displayExecutionInputs();
+    calculateExecutionAnalysis();
+}
+
+// Global function for the profile selector
+function selectBrokerProfile(id) {
+    ExecutionModel.selected = id;
+    ExecutionModel.save();
+    displayExecutionInputs();
+    calculateExecutionAnalysis();
+}
+
+// Global function for the save-profile button
+function saveBrokerProfile() {
+    const input = document.getElementById('profile-name');
+    readExecutionInputs();
+    if (ExecutionModel.addProfile(input.value)) {
+        input.value = '';
+        displayExecutionInputs();
+    }
+}
+
+// Global function for the delete/reset-profile button
+function removeBrokerProfile() {
+    ExecutionModel.removeProfile();
+    displayExecutionInputs();
+    calculateExecutionAnalysis();
+}
+
+// Restore fills and profiles when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    ExecutionModel.load();
+    displayExecutionInputs();
+});
@@ -0,0 +1,236 @@
+/**
+ * Live Auto-Refresh
+ * Opt-in polling of the stock and option quotes for the loaded contract.
+ * Pauses outside regular market hours and while the tab is hidden, flashes
+ * values that changed and keeps a session sparkline of the mid price.
+ */
+
+const LiveRefresh = {
+    enabled: false,
+    intervalSeconds: (typeof localStorage !== 'undefined' && parseInt(localStorage.getItem('live_interval'))) || 15,
+    closedRecheckMs: 60 * 1000,
+    timer: null,
+    inFlight: false,
+
+    // Mid-price history for the contract currently shown
+    symbol: '',
+    history: [],
+    maxHistory: 500,
+
+    // Displays that flash when a poll changes them
+    watchedIds: [
+        'stock-price-display', 'stock-bid', 'stock-ask',
+        'current-price', 'option-bid', 'option-ask', 'option-last', 'option-volume',
+        'option-iv', 'delta', 'model-price', 'annualized-yield', 'period-yield',
+        'premium-per-day', 'prob-profit', 'expected-pl'
+    ],
+
+    start() {
+        this.enabled = true;
+        this.tick();
+    },
+
+    stop() {
+        this.enabled = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.setStatus('');
+    },
+
+    setIntervalSeconds(seconds) {
+        this.intervalSeconds = Math.max(5, seconds);
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('live_interval', String(this.intervalSeconds));
+        }
+        if (this.enabled) this.schedule();
+    },
+
+    schedule(delay = this.intervalSeconds * 1000) {
+        clearTimeout(this.timer);
+        this.timer = this.enabled ? setTimeout(() => this.tick(), delay) : null;
+    },
+
+    /**
+     * One poll: refresh both quotes and re-run pricing, yield and the P/L chart
+     */
+    async tick() {
+        if (!this.enabled || this.inFlight) return;
+
+        // Hidden tabs wait for the visibilitychange handler to resume them
+        if (document.hidden) {
+            clearTimeout(this.timer);
+            this.setStatus('Paused - tab hidden');
+            return;
+        }
+
+        if (MarketData.get().online && !MarketCalendar.isMarketOpen()) {
+            this.setStatus('Market closed - paused until the open');
+            this.schedule(this.closedRecheckMs);
+            return;
+        }
+
+        if (!currentOptionData) {
+            this.setStatus('Waiting for a quote');
+            this.schedule();
+            return;
+        }
+
+        const symbol = buildOptionSymbol(currentTicker, currentExpiration, currentOptionType, currentStrike);
+        const before = this.snapshot();
+
+        this.inFlight = true;
+        try {
+            // A poll always wants fresh quotes - other requests keep using the cache
+            const [stockData, optionData] = await Promise.all([
+                MarketData.getStockQuote(currentTicker, { bypass: true }),
+                MarketData.getOptionQuote(symbol, { bypass: true })
+            ]);
+
+            // The selection changed while the request was out - drop the stale result
+            const selected = buildOptionSymbol(currentTicker, currentExpiration, currentOptionType, currentStrike);
+            if (symbol === selected && currentOptionData) {
+                displayStockQuote(stockData);
+                displayOptionQuote(optionData);
+                currentOptionData = optionData;
+                refreshPricing();
+
+                this.record(symbol, optionData);
+                this.highlight(before);
+                this.setStatus(`Updated ${new Date().toLocaleTimeString()}`);
+            }
+        } catch (error) {
+            console.error('Live refresh failed:', error);
+            this.setStatus(`Update failed: ${error.message}`);
+            if (error.kind === 'auth') {
+                this.stop();
+                document.getElementById('live-enabled').checked = false;
+            }
+        } finally {
+            this.inFlight = false;
+            this.schedule();
+        }
+    },
+
+    /**
+     * Add a quote to the session history (restarts on a new contract)
+     */
+    record(symbol, optionData) {
+        if (symbol !== this.symbol) {
+            this.symbol = symbol;
+            this.history = [];
+        }
+
+        const bid = optionData.bid || 0;
+        const ask = optionData.ask || 0;
+        this.history.push({ time: Date.now(), mid: (bid + ask) / 2 });
+        if (this.history.length > this.maxHistory) {
+            this.history.shift();
+        }
+        this.drawSparkline();
+    },
+
+    snapshot() {
+        const values = {};
+        this.watchedIds.forEach(id => {
+            const el = document.getElementById(id);
+            if (el) values[id] = el.textContent;
+        });
+        return values;
+    },
+
+    /**
+     * Flash every watched value whose text changed - green up, red down
+     */
+    highlight(before) {
+        const toNumber = (text) => parseFloat(String(text).replace(/[^0-9.\-]/g, ''));
+
+        this.watchedIds.forEach(id => {
+            const el = document.getElementById(id);
+            if (!el || before[id] === undefined || before[id] === el.textContent) return;
+
+            const from = toNumber(before[id]);
+            const to = toNumber(el.textContent);
+            const direction = isNaN(from) || isNaN(to) || from === to ? 'tick-changed' : (to > from ? 'tick-up' : 'tick-down');
+
+            el.classList.remove('tick-up', 'tick-down', 'tick-changed');
+            void el.offsetWidth; // restart the animation
+            el.classList.add(direction);
+            setTimeout(() => el.classList.remove(direction), 1500);
+        });
+    },
+
+    setStatus(text) {
+        const el = document.getElementById('live-status');
+        if (el) el.textContent = text;
+    },
+
+    /**
+     * Mid-price history in the current-price hero
+     */
+    drawSparkline() {
+        const canvas = document.getElementById('mid-sparkline');
+        if (!canvas) return;
+
+        const width = canvas.clientWidth || 160;
+        const height = canvas.clientHeight || 36;
+        const dpr = window.devicePixelRatio || 1;
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(dpr, dpr);
+        ctx.clearRect(0, 0, width, height);
+
+        const points = this.history;
+        canvas.style.visibility = points.length >= 2 ? 'visible' : 'hidden';
+        if (points.length < 2) return;
+
+        const mids = points.map(point => point.mid);
+        const min = Math.min(...mids);
+        const max = Math.max(...mids);
+        const span = max - min || 1;
+        const x = (i) => 2 + (i / (points.length - 1)) * (width - 4);
+        const y = (mid) => max === min ? height / 2 : 2 + (1 - (mid - min) / span) * (height - 4);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(x(i), y(point.mid));
+            else ctx.lineTo(x(i), y(point.mid));
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = 'white';
+        ctx.beginPath();
+        ctx.arc(x(points.length - 1), y(mids[mids.length - 1]), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+};
+
+// Global function for the live toggle
+function toggleLiveRefresh(enabled) {
+    if (enabled) {
+        LiveRefresh.start();
+    } else {
+        LiveRefresh.stop();
+    }
+}
+
+// Global function for the interval selector
+function setLiveInterval(seconds) {
+    LiveRefresh.setIntervalSeconds(parseInt(seconds));
+}
+
+// Pause on hidden tabs, poll straight away when the tab comes back
+document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && LiveRefresh.enabled) {
+        LiveRefresh.tick();
+    }
+});
+
+// Restore the saved interval when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    const select = document.getElementById('live-interval');
+    if (select) select.value = String(LiveRefresh.intervalSeconds);
+});
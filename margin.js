@@ -0,0 +1,131 @@
+/**
+ * Margin Requirements
+ * Initial requirement for a naked short put or call under Reg-T (the standard
+ * 20% / 10% formulas plus premium) and a portfolio-margin-style stress test
+ * (worst loss over a +/- price shock with a per-contract floor), so yield can
+ * be measured on margin as well as on cash-secured capital
+ */
+
+const MarginModel = {
+    storageKey: 'margin_settings',
+
+    // Reg-T: 20% of underlying less OTM amount, never below 10% (of strike for puts, underlying for calls)
+    regT: { underlyingPercent: 0.20, minimumPercent: 0.10 },
+
+    // Portfolio margin: revalue at spot +/- shock; FINRA floor of $0.375 x 100 per contract
+    portfolio: { shockPercent: 0.15, minimumPerContract: 37.50 },
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) this.portfolio = Object.assign({}, this.portfolio, saved);
+        } catch (error) {
+            // Keep the defaults
+        }
+    },
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.portfolio));
+    },
+
+    /**
+     * Reg-T initial requirement per share for a naked short option
+     * put:  max(20% x S - (S - K if OTM), 10% x K) + premium
+     * call: max(20% x S - (K - S if OTM), 10% x S) + premium
+     */
+    regTRequirement(type, S, K, premium) {
+        const otm = type === 'put' ? Math.max(0, S - K) : Math.max(0, K - S);
+        const floor = this.regT.minimumPercent * (type === 'put' ? K : S);
+        return Math.max(this.regT.underlyingPercent * S - otm, floor) + premium;
+    },
+
+    /**
+     * Portfolio-margin-style requirement per share: the larger loss of the
+     * short option (Black-Scholes, same IV and time) with the stock moved
+     * down and up by the shock, not less than the per-contract minimum
+     * @returns {Object} { requirement, downLoss, upLoss }
+     */
+    portfolioRequirement(type, S, K, T, r, sigma, premium, dividends = null) {
+        const shock = this.portfolio.shockPercent;
+        const lossAt = (spot) => BlackScholes.price(type, spot, K, T, r, sigma, 0, dividends) - premium;
+        const downLoss = lossAt(S * (1 - shock));
+        const upLoss = lossAt(S * (1 + shock));
+
+        return {
+            requirement: Math.max(downLoss, upLoss, this.portfolio.minimumPerContract / 100),
+            downLoss,
+            upLoss
+        };
+    }
+};
+
+/**
+ * Cash-secured, Reg-T and portfolio-margin capital with the yield on each
+ * @param {Object} expiry - MarketCalendar.timeToExpiry result
+ */
+function displayMarginAnalysis(type, S, K, expiry, T, r, sigma, premium, dividends) {
+    const table = document.getElementById('margin-table');
+    if (!table) return;
+
+    const basis = MarketCalendar.annualizationBasis(expiry);
+    if (!premium || premium <= 0 || basis.days <= 0 || !(sigma > 0)) {
+        table.querySelector('tbody').innerHTML = '';
+        document.getElementById('margin-assumptions').innerHTML = '';
+        return;
+    }
+
+    const cash = type === 'call' ? S : K;
+    const regT = MarginModel.regTRequirement(type, S, K, premium);
+    const pm = MarginModel.portfolioRequirement(type, S, K, T, r, sigma, premium, dividends);
+    const shockLabel = (MarginModel.portfolio.shockPercent * 100).toFixed(0) + '%';
+
+    const rows = [
+        { label: type === 'call' ? 'Covered (100 shares)' : 'Cash-secured', capital: cash },
+        { label: 'Reg-T margin', capital: regT },
+        { label: `Portfolio margin (±${shockLabel})`, capital: pm.requirement }
+    ];
+
+    table.querySelector('tbody').innerHTML = rows.map(row => {
+        const periodYield = premium / row.capital;
+        const annualized = periodYield * (basis.daysPerYear / basis.days);
+        return `<tr><td>${row.label}</td><td>${formatCurrency(row.capital * 100)}</td>` +
+            `<td>${formatYieldPercent(periodYield)}</td>` +
+            `<td class="${yieldColorClass(annualized)}">${formatYieldPercent(annualized)}</td></tr>`;
+    }).join('');
+
+    const otmLabel = type === 'put' ? 'S - K' : 'K - S';
+    const assumptions = [
+        `Reg-T: max(20% of stock - OTM amount (${otmLabel}), 10% of ${type === 'put' ? 'strike' : 'stock'}) + premium, per share x 100`,
+        `Portfolio margin: worst loss with the stock ${shockLabel} lower or higher (Black-Scholes at today's IV and time; ` +
+            `down ${formatCurrency(pm.downLoss * 100)}, up ${formatCurrency(pm.upLoss * 100)}), ` +
+            `minimum ${formatCurrency(MarginModel.portfolio.minimumPerContract)} per contract`,
+        'Yield on margin = premium / requirement; the requirement is for a naked position and includes no house surcharges',
+        'Brokers can require more - concentrated positions, low-priced stock and earnings often carry higher house margin'
+    ];
+    document.getElementById('margin-assumptions').innerHTML = assumptions.map(text => `<li>${text}</li>`).join('');
+}
+
+// Global function for the portfolio-margin settings
+function onMarginSettingsChange() {
+    const shock = parseFloat(document.getElementById('pm-shock').value);
+    const minimum = parseFloat(document.getElementById('pm-minimum').value);
+
+    if (shock > 0 && shock < 100) MarginModel.portfolio.shockPercent = shock / 100;
+    if (minimum >= 0) MarginModel.portfolio.minimumPerContract = minimum;
+    MarginModel.save();
+    refreshPricing();
+}
+
+// Restore settings when DOM is ready
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        if (typeof localStorage !== 'undefined') MarginModel.load();
+        document.getElementById('pm-shock').value = MarginModel.portfolio.shockPercent * 100;
+        document.getElementById('pm-minimum').value = MarginModel.portfolio.minimumPerContract;
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarginModel;
+}
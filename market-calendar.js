@@ -0,0 +1,269 @@
+/**
+ * US Equity Market Calendar
+ * NYSE holidays and early closes, with time to expiry measured to the
+ * expiration-day close (4:00pm ET, 1:00pm on early-close days) in both
+ * calendar time and trading time
+ */
+
+const MarketCalendar = {
+    timeZone: 'America/New_York',
+    openMinutes: 9 * 60 + 30,
+    closeMinutes: 16 * 60,
+    earlyCloseMinutes: 13 * 60,
+    sessionMinutes: 390,
+    tradingDaysPerYear: 252,
+
+    // 'calendar' (365-day) or 'trading' (252-day) annualization for yields
+    convention: (typeof localStorage !== 'undefined' && localStorage.getItem('time_basis')) || 'calendar',
+
+    holidayCache: {},
+    formatter: null,
+
+    /**
+     * Set the yield annualization convention ('calendar' or 'trading')
+     */
+    setConvention(convention) {
+        this.convention = convention === 'trading' ? 'trading' : 'calendar';
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('time_basis', this.convention);
+        }
+    },
+
+    /**
+     * Wall-clock date and minutes past midnight in New York for an instant
+     * @returns {Object} { date: 'YYYY-MM-DD', minutes }
+     */
+    etParts(instant) {
+        if (!this.formatter) {
+            this.formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timeZone,
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit',
+                hourCycle: 'h23'
+            });
+        }
+
+        const parts = {};
+        this.formatter.formatToParts(instant).forEach(part => { parts[part.type] = part.value; });
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60
+        };
+    },
+
+    /**
+     * Instant for a New York wall-clock date and time (handles DST)
+     */
+    etToDate(date, minutes) {
+        const [y, m, d] = date.split('-').map(Number);
+        const guess = Date.UTC(y, m - 1, d, 0, minutes);
+        const seen = this.etParts(new Date(guess));
+        const [sy, sm, sd] = seen.date.split('-').map(Number);
+        const offset = Date.UTC(sy, sm - 1, sd, 0, seen.minutes) - guess;
+        return new Date(guess - offset);
+    },
+
+    ymd(year, month, day) {
+        return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+    },
+
+    addDays(date, n) {
+        const [y, m, d] = date.split('-').map(Number);
+        return this.ymd(y, m, d + n);
+    },
+
+    /**
+     * Calendar days between two 'YYYY-MM-DD' dates
+     */
+    daysBetween(from, to) {
+        return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000);
+    },
+
+    weekday(date) {
+        return new Date(date + 'T00:00:00Z').getUTCDay();
+    },
+
+    /**
+     * Date of the nth given weekday in a month (n = -1 for the last one)
+     */
+    nthWeekday(year, month, weekday, n) {
+        if (n > 0) {
+            const first = this.weekday(this.ymd(year, month, 1));
+            return this.ymd(year, month, 1 + (weekday - first + 7) % 7 + (n - 1) * 7);
+        }
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const last = this.weekday(this.ymd(year, month, lastDay));
+        return this.ymd(year, month, lastDay - (last - weekday + 7) % 7);
+    },
+
+    /**
+     * Easter Sunday (anonymous Gregorian algorithm)
+     */
+    easter(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const day = ((h + l - 7 * m + 114) % 31) + 1;
+        return this.ymd(year, month, day);
+    },
+
+    /**
+     * NYSE full-day holidays for a year
+     * @returns {Object} Map of 'YYYY-MM-DD' to holiday name
+     */
+    holidays(year) {
+        if (this.holidayCache[year]) return this.holidayCache[year];
+
+        const days = {};
+        // Saturday holidays move to Friday, Sunday holidays to Monday
+        const observed = (month, day, name) => {
+            const date = this.ymd(year, month, day);
+            const dow = this.weekday(date);
+            if (dow === 6) days[this.addDays(date, -1)] = name;
+            else if (dow === 0) days[this.addDays(date, 1)] = name;
+            else days[date] = name;
+        };
+
+        // New Year's Day on a Saturday is not observed the Friday before
+        const newYear = this.ymd(year, 1, 1);
+        if (this.weekday(newYear) === 0) days[this.addDays(newYear, 1)] = "New Year's Day";
+        else if (this.weekday(newYear) !== 6) days[newYear] = "New Year's Day";
+
+        days[this.nthWeekday(year, 1, 1, 3)] = 'Martin Luther King Jr. Day';
+        days[this.nthWeekday(year, 2, 1, 3)] = "Washington's Birthday";
+        days[this.addDays(this.easter(year), -2)] = 'Good Friday';
+        days[this.nthWeekday(year, 5, 1, -1)] = 'Memorial Day';
+        if (year >= 2022) observed(6, 19, 'Juneteenth');
+        observed(7, 4, 'Independence Day');
+        days[this.nthWeekday(year, 9, 1, 1)] = 'Labor Day';
+        days[this.nthWeekday(year, 11, 4, 4)] = 'Thanksgiving Day';
+        observed(12, 25, 'Christmas Day');
+
+        this.holidayCache[year] = days;
+        return days;
+    },
+
+    /**
+     * Early-close (1:00pm ET) days for a year
+     */
+    earlyCloses(year) {
+        const days = {};
+        const ifMonToThu = (date, name) => {
+            const dow = this.weekday(date);
+            if (dow >= 1 && dow <= 4) days[date] = name;
+        };
+
+        ifMonToThu(this.ymd(year, 7, 3), 'Independence Day Eve');
+        days[this.addDays(this.nthWeekday(year, 11, 4, 4), 1)] = 'Day after Thanksgiving';
+        ifMonToThu(this.ymd(year, 12, 24), 'Christmas Eve');
+        return days;
+    },
+
+    holidayName(date) {
+        return this.holidays(Number(date.slice(0, 4)))[date] || null;
+    },
+
+    isTradingDay(date) {
+        const dow = this.weekday(date);
+        return dow !== 0 && dow !== 6 && !this.holidayName(date);
+    },
+
+    /**
+     * Last trading day strictly before a date
+     */
+    previousTradingDay(date) {
+        let day = this.addDays(date, -1);
+        while (!this.isTradingDay(day)) day = this.addDays(day, -1);
+        return day;
+    },
+
+    /**
+     * Session close in minutes past midnight ET, or null if the market is shut
+     */
+    sessionClose(date) {
+        if (!this.isTradingDay(date)) return null;
+        return this.earlyCloses(Number(date.slice(0, 4)))[date] ? this.earlyCloseMinutes : this.closeMinutes;
+    },
+
+    isMarketOpen(now = new Date()) {
+        const et = this.etParts(now);
+        const close = this.sessionClose(et.date);
+        return close !== null && et.minutes >= this.openMinutes && et.minutes < close;
+    },
+
+    /**
+     * Expiration instant - the close of the expiration day
+     */
+    expiryTime(expiration) {
+        return this.etToDate(expiration, this.sessionClose(expiration) || this.closeMinutes);
+    },
+
+    /**
+     * Fractional calendar days until the expiration-day close (0 once expired)
+     */
+    calendarDays(expiration, now = new Date()) {
+        return Math.max(0, (this.expiryTime(expiration) - now) / (1000 * 60 * 60 * 24));
+    },
+
+    /**
+     * Fractional trading sessions until the expiration-day close
+     * Each remaining session counts by its length relative to a full 6.5-hour day
+     */
+    tradingDays(expiration, now = new Date()) {
+        const start = this.etParts(now);
+        let total = 0;
+
+        for (let date = start.date; date <= expiration; date = this.addDays(date, 1)) {
+            const close = this.sessionClose(date);
+            if (close === null) continue;
+
+            const from = date === start.date ? Math.max(this.openMinutes, start.minutes) : this.openMinutes;
+            if (close > from) total += (close - from) / this.sessionMinutes;
+        }
+        return total;
+    },
+
+    /**
+     * Time to expiry - calendar T for the models, calendar and trading days for yields
+     * @returns {Object} { expiresAt, dte, calendarDays, calendarT, tradingDays, expired }
+     */
+    timeToExpiry(expiration, now = new Date()) {
+        const calendarDays = this.calendarDays(expiration, now);
+        const tradingDays = this.tradingDays(expiration, now);
+        const today = this.etParts(now).date;
+
+        return {
+            expiresAt: this.expiryTime(expiration),
+            // Whole calendar dates to expiration - 0 on expiration day
+            dte: Math.max(0, Math.round((new Date(expiration + 'T00:00:00Z') - new Date(today + 'T00:00:00Z')) / (1000 * 60 * 60 * 24))),
+            calendarDays,
+            calendarT: calendarDays / 365,
+            tradingDays,
+            expired: calendarDays <= 0
+        };
+    },
+
+    /**
+     * Days and periods-per-year for annualizing a yield under the chosen convention
+     */
+    annualizationBasis(expiry, convention = this.convention) {
+        return convention === 'trading'
+            ? { days: expiry.tradingDays, daysPerYear: this.tradingDaysPerYear, label: 'trading days' }
+            : { days: expiry.calendarDays, daysPerYear: 365, label: 'calendar days' };
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarketCalendar;
+}
@@ -0,0 +1,602 @@
+/**
+ * Market Data Providers
+ * Every provider returns the same normalized shapes so the UI never sees a
+ * vendor's wire format:
+ *   quote       { symbol, price, bid, ask, last, name }
+ *   expirations ['YYYY-MM-DD', ...] ascending
+ *   strikes     [number, ...] ascending
+ *   option      { optionSymbol, underlying, expiration, side, strike, bid, ask, mid, last,
+ *                 iv, delta, gamma, theta, vega, rho, openInterest, volume, underlyingPrice }
+ *   chain       [option, ...]
+ *   dividends   [{ exDate, amount }]
+ *   earnings    [{ reportDate, reportTime: 'before' | 'after' | null, fiscalQuarter, fiscalYear }]
+ *   candles     [{ date, open, high, low, close, volume }] ascending daily bars
+ *   ivHistory   [{ date, iv }] ascending daily 30-day ATM implied vol (optional per provider)
+ */
+
+// Proxy configuration — points at Cloudflare Worker, not MarketData.app directly
+const MARKETDATA_API = {
+    baseUrl: 'https://marketdata-proxy.rpgrealtimemarketdata.workers.dev/v1',
+    get token() { return sessionStorage.getItem('site_access_token') || ''; }
+};
+
+/**
+ * Split an OCC option symbol (e.g. AAPL260130P00245000) into its parts
+ */
+function parseOptionSymbol(optionSymbol) {
+    const match = /^([A-Z.]+)(\d{2})(\d{2})(\d{2})([CP])(\d{8})$/.exec(optionSymbol || '');
+    if (!match) return null;
+
+    return {
+        underlying: match[1],
+        expiration: `20${match[2]}-${match[3]}-${match[4]}`,
+        side: match[5] === 'C' ? 'call' : 'put',
+        strike: parseInt(match[6], 10) / 1000
+    };
+}
+
+/**
+ * Request failure with a category the UI can act on
+ * kind: 'auth' | 'rate-limit' | 'not-found' | 'server' | 'network'
+ */
+class MarketDataError extends Error {
+    constructor(kind, message, status = null, retryAfter = null) {
+        super(message);
+        this.name = 'MarketDataError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+
+    /**
+     * Worth retrying after a pause
+     */
+    get transient() {
+        return this.kind === 'rate-limit' || this.kind === 'server' || this.kind === 'network';
+    }
+}
+
+/**
+ * MarketData.app adapter (through the site proxy)
+ * Responses are column arrays - one array per field, one index per row
+ */
+const MarketDataApp = {
+    id: 'marketdata',
+    label: 'MarketData.app',
+    requiresToken: true,
+    online: true,
+
+    maxRetries: 3,
+    backoffMs: 500,
+    maxBackoffMs: 10000,
+
+    // Per-session usage from the X-Api-Ratelimit-* response headers
+    credits: { consumed: 0, remaining: null, limit: null, resetAt: null, requests: 0 },
+    onCreditsChange: null,
+    onAuthError: null,
+    // Token that last failed auth - parallel requests rejected for it report once
+    authFailedToken: null,
+
+    /**
+     * GET an endpoint and return the parsed body once the API reports s === 'ok'
+     * Rate-limit, server and network failures are retried with exponential
+     * backoff (or the server's Retry-After, up to maxBackoffMs); auth and
+     * not-found fail at once
+     * @param {string} path - Path below the API base, e.g. '/stocks/quotes/AAPL/'
+     * @param {Object} params - Query parameters
+     */
+    async request(path, params = {}) {
+        const query = new URLSearchParams(params).toString();
+        const url = `${MARKETDATA_API.baseUrl}${path}${query ? '?' + query : ''}`;
+
+        const token = MARKETDATA_API.token;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url);
+            } catch (error) {
+                if (error.kind === 'auth' && token !== this.authFailedToken) {
+                    this.authFailedToken = token;
+                    if (typeof this.onAuthError === 'function') this.onAuthError(error);
+                }
+                if (!error.transient || attempt >= this.maxRetries) throw error;
+
+                // A long Retry-After would leave the UI loading - fail now and say when to retry
+                if (error.retryAfter !== null && error.retryAfter > this.maxBackoffMs) {
+                    error.message += ` - try again in ${Math.ceil(error.retryAfter / 1000)}s`;
+                    throw error;
+                }
+
+                const backoff = Math.min(this.maxBackoffMs, this.backoffMs * Math.pow(2, attempt));
+                const wait = error.retryAfter !== null ? error.retryAfter : backoff * (0.75 + Math.random() * 0.5);
+                console.log(`${error.message} - retrying in ${Math.round(wait)}ms`);
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        }
+    },
+
+    /**
+     * One attempt - throws a classified MarketDataError on failure
+     */
+    async send(url) {
+        console.log('Fetching:', url);
+
+        let response;
+        try {
+            response = await fetch(url, {
+                headers: {
+                    'Authorization': `Bearer ${MARKETDATA_API.token}`
+                }
+            });
+        } catch (error) {
+            throw new MarketDataError('network', 'Network error - check your connection');
+        }
+
+        this.trackCredits(response.headers);
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw this.classify(response, errorData);
+        }
+
+        const data = await response.json();
+        if (data.s !== 'ok') {
+            throw new MarketDataError('not-found', data.errmsg || 'No data available', response.status);
+        }
+        return data;
+    },
+
+    /**
+     * Map a failed response to an error category
+     */
+    classify(response, errorData) {
+        const status = response.status;
+        const detail = errorData.errmsg ? `: ${errorData.errmsg}` : '';
+
+        if (status === 401 || status === 403) {
+            return new MarketDataError('auth', 'Access denied - check the site password', status);
+        }
+        if (status === 429) {
+            return new MarketDataError('rate-limit', 'Rate limit reached', status, this.retryAfterMs(response.headers));
+        }
+        if (status === 404) {
+            return new MarketDataError('not-found', errorData.errmsg || 'No data available', status);
+        }
+        if (status >= 500) {
+            return new MarketDataError('server', `Data provider error (${status})${detail}`, status, this.retryAfterMs(response.headers));
+        }
+        return new MarketDataError('server', `API request failed: ${status}${detail}`, status);
+    },
+
+    /**
+     * Retry-After in milliseconds (seconds or HTTP-date form), or null
+     */
+    retryAfterMs(headers) {
+        const value = headers.get('Retry-After');
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    /**
+     * Accumulate credit usage; headers may be missing if the proxy does not expose them
+     */
+    trackCredits(headers) {
+        const read = (name) => {
+            const value = headers.get(name);
+            return value !== null && value !== '' && isFinite(Number(value)) ? Number(value) : null;
+        };
+
+        this.credits.requests++;
+        const consumed = read('X-Api-Ratelimit-Consumed');
+        const remaining = read('X-Api-Ratelimit-Remaining');
+        const limit = read('X-Api-Ratelimit-Limit');
+        const reset = read('X-Api-Ratelimit-Reset');
+
+        if (consumed !== null) this.credits.consumed += consumed;
+        if (remaining !== null) this.credits.remaining = remaining;
+        if (limit !== null) this.credits.limit = limit;
+        if (reset !== null) this.credits.resetAt = new Date(reset * 1000);
+
+        if (typeof this.onCreditsChange === 'function') {
+            this.onCreditsChange(this.credits);
+        }
+    },
+
+    /**
+     * Expirations come back as unix seconds
+     */
+    toDate(value) {
+        if (typeof value === 'number') {
+            return new Date(value * 1000).toISOString().slice(0, 10);
+        }
+        return value ? String(value).slice(0, 10) : null;
+    },
+
+    /**
+     * Turn row i of a column-array option response into a normalized option
+     */
+    optionRow(data, i) {
+        const col = (name) => data[name] ? data[name][i] : null;
+        const parsed = parseOptionSymbol(col('optionSymbol')) || {};
+        const bid = col('bid');
+        const ask = col('ask');
+
+        return {
+            optionSymbol: col('optionSymbol'),
+            underlying: col('underlying') || parsed.underlying || null,
+            expiration: this.toDate(col('expiration')) || parsed.expiration || null,
+            side: col('side') || parsed.side || null,
+            strike: col('strike') !== null ? col('strike') : (parsed.strike || null),
+            bid,
+            ask,
+            mid: col('mid') !== null ? col('mid') : ((bid || 0) + (ask || 0)) / 2,
+            last: col('last'),
+            iv: col('iv'),
+            delta: col('delta'),
+            gamma: col('gamma'),
+            theta: col('theta'),
+            vega: col('vega'),
+            rho: col('rho'),
+            openInterest: col('openInterest'),
+            volume: col('volume'),
+            underlyingPrice: col('underlyingPrice')
+        };
+    },
+
+    async getStockQuote(ticker) {
+        const data = await this.request(`/stocks/quotes/${ticker}/`);
+
+        // Get price - prefer last, fall back to mid of bid/ask
+        let price = null;
+        if (data.last && data.last[0]) {
+            price = data.last[0];
+        } else if (data.bid && data.ask && data.bid[0] && data.ask[0]) {
+            price = (data.bid[0] + data.ask[0]) / 2;
+        } else if (data.mid && data.mid[0]) {
+            price = data.mid[0];
+        }
+
+        if (!price) {
+            throw new Error('No price data available for this symbol');
+        }
+
+        return {
+            symbol: ticker,
+            price,
+            bid: data.bid ? data.bid[0] : null,
+            ask: data.ask ? data.ask[0] : null,
+            last: data.last ? data.last[0] : null,
+            name: data.name ? data.name[0] : null
+        };
+    },
+
+    async getExpirations(ticker) {
+        const data = await this.request(`/options/expirations/${ticker}/`);
+        if (!data.expirations || data.expirations.length === 0) {
+            throw new Error('No options available for this symbol');
+        }
+        return data.expirations.map(exp => this.toDate(exp)).sort();
+    },
+
+    async getStrikes(ticker, expiration) {
+        const data = await this.request(`/options/strikes/${ticker}/`, { expiration });
+
+        // MarketData.app returns strikes under the expiration date key, not "strikes"
+        const strikes = data[expiration] || data.strikes;
+        if (!strikes || strikes.length === 0) {
+            throw new Error('No strikes available');
+        }
+        return strikes.slice().sort((a, b) => a - b);
+    },
+
+    /**
+     * Quote one contract - falls back to the chain endpoint when the quotes
+     * endpoint refuses the symbol or errors
+     */
+    async getOptionQuote(optionSymbol) {
+        try {
+            const data = await this.request(`/options/quotes/${optionSymbol}/`);
+            return this.optionRow(data, 0);
+        } catch (error) {
+            // A second endpoint cannot fix a bad password or an exhausted rate limit
+            if (error.kind === 'auth' || error.kind === 'rate-limit') throw error;
+            console.log('Option quote failed, trying chain endpoint...', error.message);
+        }
+
+        const parsed = parseOptionSymbol(optionSymbol);
+        if (!parsed) {
+            throw new Error('Failed to fetch option data');
+        }
+
+        const chain = await this.getOptionChain(parsed.underlying, {
+            expiration: parsed.expiration,
+            side: parsed.side,
+            strike: parsed.strike
+        });
+        const match = chain.find(row => Math.abs(row.strike - parsed.strike) < 0.01) || chain[0];
+        if (!match || match.bid === null) {
+            throw new Error('No option data available');
+        }
+        return match;
+    },
+
+    /**
+     * Full or filtered option chain
+     * @param {Object} params - Chain filters (expiration, side, strike, from/to expiration range, strikeLimit...)
+     */
+    async getOptionChain(ticker, params = {}) {
+        const data = await this.request(`/options/chain/${ticker}/`, params);
+        if (!data.strike || data.strike.length === 0) {
+            throw new Error('No option chain data available');
+        }
+        return data.strike.map((strike, i) => this.optionRow(data, i));
+    },
+
+    async getDividends(ticker) {
+        const data = await this.request(`/stocks/dividends/${ticker}/`);
+        if (!data.exDate || !data.amount) {
+            throw new Error('No dividend data available');
+        }
+        return data.exDate.map((exDate, i) => ({ exDate: this.toDate(exDate), amount: data.amount[i] }));
+    },
+
+    /**
+     * Daily candles
+     * @param {Object} params - { from, to } dates or { countback }
+     */
+    async getCandles(ticker, params = {}) {
+        const data = await this.request(`/stocks/candles/D/${ticker}/`, params);
+        if (!data.c || data.c.length === 0) {
+            throw new Error('No candle data available');
+        }
+        return data.c.map((close, i) => ({
+            date: this.toDate(data.t[i]),
+            open: data.o[i],
+            high: data.h[i],
+            low: data.l[i],
+            close,
+            volume: data.v ? data.v[i] : null
+        }));
+    },
+
+    /**
+     * Upcoming (and recent) earnings reports
+     */
+    async getEarnings(ticker) {
+        const data = await this.request(`/stocks/earnings/${ticker}/`);
+        if (!data.reportDate || data.reportDate.length === 0) {
+            throw new Error('No earnings data available');
+        }
+        return data.reportDate.map((reportDate, i) => {
+            const time = String((data.reportTime && data.reportTime[i]) || '').toLowerCase();
+            return {
+                reportDate: this.toDate(reportDate),
+                reportTime: time.includes('before') ? 'before' : (time.includes('after') ? 'after' : null),
+                fiscalQuarter: data.fiscalQuarter ? data.fiscalQuarter[i] : null,
+                fiscalYear: data.fiscalYear ? data.fiscalYear[i] : null
+            };
+        });
+    }
+};
+
+/**
+ * Offline adapter backed by JSON files in fixtures/
+ * A fixture is the normalized data for one ticker ({ asOf, quote, chain, dividends }).
+ * Dates are rolled forward by whole weeks from asOf so a fixture never expires
+ * and expirations keep their weekday.
+ */
+const FixtureData = {
+    id: 'fixture',
+    label: 'Offline fixtures',
+    requiresToken: false,
+    online: false,
+    basePath: 'fixtures',
+    cache: {},
+
+    async load(ticker) {
+        if (this.cache[ticker]) return this.cache[ticker];
+
+        const response = await fetch(`${this.basePath}/${ticker}.json`);
+        if (!response.ok) {
+            throw new Error(`No offline fixture for ${ticker}`);
+        }
+
+        const fixture = await response.json();
+        const asOf = new Date(fixture.asOf + 'T00:00:00Z');
+        const today = new Date(MarketCalendar.etParts(new Date()).date + 'T00:00:00Z');
+        const weeks = Math.max(0, Math.ceil((today - asOf) / (7 * 24 * 60 * 60 * 1000)));
+        const shift = (date) => date ? MarketCalendar.addDays(date, weeks * 7) : date;
+
+        const chain = (fixture.chain || []).map(row => {
+            const expiration = shift(row.expiration);
+            const [y, m, d] = expiration.split('-');
+            const strikeCode = String(Math.round(row.strike * 1000)).padStart(8, '0');
+            return Object.assign({}, row, {
+                underlying: ticker,
+                expiration,
+                optionSymbol: `${ticker}${y.slice(-2)}${m}${d}${row.side === 'call' ? 'C' : 'P'}${strikeCode}`,
+                mid: row.mid !== undefined ? row.mid : (row.bid + row.ask) / 2,
+                underlyingPrice: fixture.quote.price
+            });
+        });
+
+        this.cache[ticker] = {
+            quote: Object.assign({ symbol: ticker }, fixture.quote),
+            chain,
+            dividends: (fixture.dividends || []).map(div => ({ exDate: shift(div.exDate), amount: div.amount })),
+            earnings: (fixture.earnings || []).map(report => Object.assign({}, report, { reportDate: shift(report.reportDate) })),
+            candles: (fixture.candles || []).map(bar => Object.assign({}, bar, { date: shift(bar.date) })),
+            ivHistory: (fixture.ivHistory || []).map(point => ({ date: shift(point.date), iv: point.iv }))
+        };
+        return this.cache[ticker];
+    },
+
+    async getStockQuote(ticker) {
+        return (await this.load(ticker)).quote;
+    },
+
+    async getExpirations(ticker) {
+        const { chain } = await this.load(ticker);
+        return [...new Set(chain.map(row => row.expiration))].sort();
+    },
+
+    async getStrikes(ticker, expiration) {
+        const { chain } = await this.load(ticker);
+        const strikes = [...new Set(chain.filter(row => row.expiration === expiration).map(row => row.strike))];
+        if (strikes.length === 0) {
+            throw new Error('No strikes available');
+        }
+        return strikes.sort((a, b) => a - b);
+    },
+
+    async getOptionQuote(optionSymbol) {
+        const parsed = parseOptionSymbol(optionSymbol);
+        if (!parsed) {
+            throw new Error('Invalid option symbol');
+        }
+
+        const { chain } = await this.load(parsed.underlying);
+        const match = chain.find(row => row.optionSymbol === optionSymbol);
+        if (!match) {
+            throw new Error('No option data available');
+        }
+        return match;
+    },
+
+    async getOptionChain(ticker, params = {}) {
+        const { quote, chain } = await this.load(ticker);
+        const rows = chain.filter(row =>
+            (!params.expiration || row.expiration === params.expiration) &&
+            (!params.from || row.expiration >= params.from) &&
+            (!params.to || row.expiration <= params.to) &&
+            (!params.side || row.side === params.side) &&
+            (params.strike === undefined || Math.abs(row.strike - params.strike) < 0.01)
+        );
+        if (!params.strikeLimit) return rows;
+
+        // Like the API: only the strikeLimit strikes nearest the money
+        const nearest = [...new Set(rows.map(row => row.strike))]
+            .sort((a, b) => Math.abs(a - quote.price) - Math.abs(b - quote.price))
+            .slice(0, params.strikeLimit);
+        return rows.filter(row => nearest.includes(row.strike));
+    },
+
+    async getDividends(ticker) {
+        return (await this.load(ticker)).dividends;
+    },
+
+    async getEarnings(ticker) {
+        return (await this.load(ticker)).earnings;
+    },
+
+    async getCandles(ticker, params = {}) {
+        const { candles } = await this.load(ticker);
+        const bars = candles.filter(bar => (!params.from || bar.date >= params.from) && (!params.to || bar.date <= params.to));
+        return params.countback ? bars.slice(-params.countback) : bars;
+    },
+
+    async getIvHistory(ticker) {
+        return (await this.load(ticker)).ivHistory;
+    }
+};
+
+/**
+ * Provider registry and the user's current selection
+ */
+const MarketData = {
+    selected: (typeof localStorage !== 'undefined' && localStorage.getItem('data_provider')) || 'marketdata',
+
+    providers: {
+        marketdata: MarketDataApp,
+        fixture: FixtureData
+    },
+
+    // { [method]: { time, cached } } for the most recent call of each method
+    asOf: {},
+
+    /**
+     * Look up a provider (falls back to MarketData.app)
+     */
+    get(id = this.selected) {
+        return this.providers[id] || this.providers.marketdata;
+    },
+
+    select(id) {
+        if (!this.providers[id]) return;
+        this.selected = id;
+        if (typeof localStorage !== 'undefined') {
+            localStorage.setItem('data_provider', id);
+        }
+    },
+
+    /**
+     * Call a provider method through the response cache
+     * Records when the returned data was fetched in asOf[method]
+     * @param {Object} options - Passed to DataCache.fetch, e.g. { bypass: true }
+     */
+    async call(method, args, options = {}) {
+        const provider = this.get();
+        if (typeof provider[method] !== 'function') {
+            throw new MarketDataError('not-found', `${provider.label} does not support ${method}`);
+        }
+        const load = () => provider[method](...args);
+
+        // Fixtures are local files - nothing to cache
+        if (!provider.online || typeof DataCache === 'undefined') {
+            const value = await load();
+            this.asOf[method] = { time: new Date(), cached: false };
+            return value;
+        }
+
+        const key = [provider.id, method, ...args.map(arg => typeof arg === 'object' ? JSON.stringify(arg) : arg)].join('|');
+        const result = await DataCache.fetch(key, DataCache.ttl[method], load, options);
+        this.asOf[method] = { time: new Date(result.storedAt), cached: result.cached };
+        return result.value;
+    },
+
+    getStockQuote(ticker, options = {}) {
+        return this.call('getStockQuote', [ticker], options);
+    },
+
+    getExpirations(ticker, options = {}) {
+        return this.call('getExpirations', [ticker], options);
+    },
+
+    getStrikes(ticker, expiration, options = {}) {
+        return this.call('getStrikes', [ticker, expiration], options);
+    },
+
+    getOptionQuote(optionSymbol, options = {}) {
+        return this.call('getOptionQuote', [optionSymbol], options);
+    },
+
+    getOptionChain(ticker, params = {}, options = {}) {
+        return this.call('getOptionChain', [ticker, params], options);
+    },
+
+    getDividends(ticker, options = {}) {
+        return this.call('getDividends', [ticker], options);
+    },
+
+    getEarnings(ticker, options = {}) {
+        return this.call('getEarnings', [ticker], options);
+    },
+
+    getCandles(ticker, params = {}, options = {}) {
+        return this.call('getCandles', [ticker, params], options);
+    },
+
+    getIvHistory(ticker, options = {}) {
+        return this.call('getIvHistory', [ticker], options);
+    }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MARKETDATA_API, MarketDataError, parseOptionSymbol, MarketDataApp, FixtureData, MarketData };
+}
@@ -0,0 +1,412 @@
+/**
+ * Monte Carlo Simulation Engine
+ * Seeded path simulation for position outcomes that closed-form models
+ * can't answer: strike breaches before expiry, early exits at a profit
+ * target or stop loss, and the full P/L distribution
+ */
+
+const MonteCarlo = {
+    /**
+     * Seeded uniform generator (mulberry32) - same seed, same paths
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Standard normal generator (Box-Muller) on top of a uniform source
+     */
+    createNormal(uniform) {
+        let spare = null;
+        return () => {
+            if (spare !== null) {
+                const z = spare;
+                spare = null;
+                return z;
+            }
+            const u = uniform() || 1e-12;
+            const v = uniform();
+            const mag = Math.sqrt(-2 * Math.log(u));
+            spare = mag * Math.sin(2 * Math.PI * v);
+            return mag * Math.cos(2 * Math.PI * v);
+        };
+    },
+
+    /**
+     * Poisson draw (Knuth) - fine for the small per-step jump intensities used here
+     */
+    poisson(lambda, uniform) {
+        const limit = Math.exp(-lambda);
+        let k = 0;
+        let p = 1;
+        do {
+            k++;
+            p *= uniform();
+        } while (p > limit);
+        return k - 1;
+    },
+
+    /**
+     * Value at percentile p (0-100) of an ascending sorted array
+     */
+    percentile(sorted, p) {
+        if (sorted.length === 0) return NaN;
+        const idx = (p / 100) * (sorted.length - 1);
+        const lo = Math.floor(idx);
+        const hi = Math.ceil(idx);
+        return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+    },
+
+    /**
+     * Simulate the selected contract
+     * @param {Object} options
+     *   type, S, K, T, r, sigma, q, dividends, premium - contract and pricing inputs
+     *   days - calendar days to expiry, for daily steps and days held (defaults to T x 365)
+     *   position - 'short' (default) or 'long'; contracts - number of contracts
+     *   paths, seed - simulation size and PRNG seed
+     *   mu - real-world drift (defaults to r, i.e. risk-neutral)
+     *   model - 'gbm', 'jump' (Merton jump-diffusion) or 'heston' (stochastic vol)
+     *   jump - { lambda, mean, vol } jumps per year and log-jump size
+     *   heston - { kappa, theta, xi, rho } variance mean reversion, long-run variance, vol of vol, correlation
+     *   profitTarget - close when profit reaches this fraction of premium (null = hold)
+     *   stopLoss - close when loss reaches this multiple of premium (null = none)
+     */
+    simulate(options) {
+        const o = Object.assign({
+            q: 0,
+            dividends: null,
+            position: 'short',
+            contracts: 1,
+            paths: 2000,
+            seed: 42,
+            mu: null,
+            model: 'gbm',
+            profitTarget: null,
+            stopLoss: null
+        }, options);
+
+        const { type, S, K, T, r, sigma, q, premium, paths } = o;
+        const mu = o.mu !== null && o.mu !== undefined ? o.mu : r;
+        const jump = Object.assign({ lambda: 1, mean: -0.05, vol: 0.1 }, o.jump);
+        const heston = Object.assign({ kappa: 2, theta: sigma * sigma, xi: 0.5, rho: -0.7 }, o.heston);
+
+        const uniform = this.createRandom(o.seed);
+        const normal = this.createNormal(uniform);
+
+        // One step per calendar day, whatever clock T is measured on
+        const days = o.days > 0 ? o.days : T * 365;
+        const steps = Math.max(1, Math.round(days));
+        const dt = T / steps;
+        const sqrtDt = Math.sqrt(dt);
+        const sign = o.position === 'short' ? -1 : 1;
+        const multiplier = 100 * o.contracts;
+        const jumpCompensator = jump.lambda * (Math.exp(jump.mean + 0.5 * jump.vol * jump.vol) - 1);
+        const barrierBelow = K < S;
+        const dividends = o.dividends || [];
+        const managed = o.profitTarget !== null || o.stopLoss !== null;
+
+        const spots = new Float64Array(paths).fill(S);
+        const variance = o.model === 'heston' ? new Float64Array(paths).fill(sigma * sigma) : null;
+        const pathVol = new Float64Array(paths).fill(sigma);
+        const minSpot = new Float64Array(paths).fill(S);
+        const maxSpot = new Float64Array(paths).fill(S);
+        const touched = new Uint8Array(paths);
+        const exitReason = new Uint8Array(paths); // 0 = held to expiry, 1 = profit target, 2 = stop loss
+        const pl = new Float64Array(paths);
+        const daysHeld = new Float64Array(paths);
+
+        for (let step = 1; step <= steps; step++) {
+            const t = step * dt;
+            const divDrop = dividends.reduce((sum, div) =>
+                div.t > t - dt && div.t <= t ? sum + div.amount : sum, 0);
+
+            for (let i = 0; i < paths; i++) {
+                let logReturn;
+
+                if (variance) {
+                    // Full-truncation Euler for the Heston variance process
+                    const v = Math.max(variance[i], 0);
+                    const z1 = normal();
+                    const z2 = heston.rho * z1 + Math.sqrt(1 - heston.rho * heston.rho) * normal();
+                    logReturn = (mu - q - 0.5 * v) * dt + Math.sqrt(v) * sqrtDt * z1;
+                    variance[i] += heston.kappa * (heston.theta - v) * dt + heston.xi * Math.sqrt(v) * sqrtDt * z2;
+                    pathVol[i] = Math.sqrt(Math.max(variance[i], 1e-8));
+                } else {
+                    logReturn = (mu - q - 0.5 * sigma * sigma) * dt + sigma * sqrtDt * normal();
+
+                    if (o.model === 'jump') {
+                        logReturn -= jumpCompensator * dt;
+                        const jumps = this.poisson(jump.lambda * dt, uniform);
+                        for (let j = 0; j < jumps; j++) {
+                            logReturn += jump.mean + jump.vol * normal();
+                        }
+                    }
+                }
+
+                let spot = spots[i] * Math.exp(logReturn) - divDrop;
+                spot = Math.max(spot, 1e-8);
+                spots[i] = spot;
+
+                if (spot < minSpot[i]) minSpot[i] = spot;
+                if (spot > maxSpot[i]) maxSpot[i] = spot;
+                if (barrierBelow ? spot <= K : spot >= K) touched[i] = 1;
+            }
+
+            // Mark open positions to model and apply exit rules
+            if (managed && step < steps) {
+                const remaining = dividends
+                    .filter(div => div.t > t)
+                    .map(div => ({ t: div.t - t, amount: div.amount }));
+                const values = BlackScholes.calculateBatch(type, {
+                    S: spots, K, T: T - t, r, sigma: pathVol, q,
+                    dividends: remaining.length > 0 ? remaining : null
+                }, false).price;
+
+                for (let i = 0; i < paths; i++) {
+                    if (exitReason[i] !== 0) continue;
+
+                    const perShare = sign * (values[i] - premium);
+                    if (o.profitTarget !== null && perShare >= o.profitTarget * premium) {
+                        exitReason[i] = 1;
+                    } else if (o.stopLoss !== null && -perShare >= o.stopLoss * premium) {
+                        exitReason[i] = 2;
+                    } else {
+                        continue;
+                    }
+                    pl[i] = perShare * multiplier;
+                    daysHeld[i] = days * step / steps;
+                }
+            }
+        }
+
+        // Settle everything still open at expiration
+        let itmCount = 0;
+        for (let i = 0; i < paths; i++) {
+            const payoff = BlackScholes.intrinsicValue(type, spots[i], K);
+            if (payoff > 0) itmCount++;
+            if (exitReason[i] === 0) {
+                pl[i] = sign * (payoff - premium) * multiplier;
+                daysHeld[i] = days;
+            }
+        }
+
+        return this.summarize({ pl, daysHeld, exitReason, touched, minSpot, maxSpot, spots, itmCount, paths });
+    },
+
+    /**
+     * Reduce raw path results to distribution statistics
+     */
+    summarize(raw) {
+        const { pl, daysHeld, exitReason, touched, minSpot, maxSpot, spots, itmCount, paths } = raw;
+        const sortedPL = Float64Array.from(pl).sort();
+        const sortedMin = Float64Array.from(minSpot).sort();
+        const sortedMax = Float64Array.from(maxSpot).sort();
+        const sortedFinal = Float64Array.from(spots).sort();
+
+        let sum = 0, sumSq = 0, wins = 0, touches = 0, targets = 0, stops = 0, days = 0;
+        for (let i = 0; i < paths; i++) {
+            sum += pl[i];
+            sumSq += pl[i] * pl[i];
+            if (pl[i] > 0) wins++;
+            touches += touched[i];
+            if (exitReason[i] === 1) targets++;
+            if (exitReason[i] === 2) stops++;
+            days += daysHeld[i];
+        }
+        const mean = sum / paths;
+
+        // Expected shortfall: average of the worst 5% of outcomes
+        const tailCount = Math.max(1, Math.floor(paths * 0.05));
+        let tailSum = 0;
+        for (let i = 0; i < tailCount; i++) tailSum += sortedPL[i];
+
+        const percentiles = {};
+        [5, 10, 25, 50, 75, 90, 95].forEach(p => {
+            percentiles[p] = this.percentile(sortedPL, p);
+        });
+
+        return {
+            paths,
+            pl: sortedPL,
+            mean,
+            stdev: Math.sqrt(Math.max(0, sumSq / paths - mean * mean)),
+            percentiles,
+            expectedShortfall: tailSum / tailCount,
+            probProfit: wins / paths,
+            probBreach: touches / paths,
+            probITM: itmCount / paths,
+            targetHitRate: targets / paths,
+            stopHitRate: stops / paths,
+            avgDaysHeld: days / paths,
+            pathStats: {
+                minSpot: { p5: this.percentile(sortedMin, 5), p50: this.percentile(sortedMin, 50) },
+                maxSpot: { p50: this.percentile(sortedMax, 50), p95: this.percentile(sortedMax, 95) },
+                finalSpot: {
+                    p5: this.percentile(sortedFinal, 5),
+                    p50: this.percentile(sortedFinal, 50),
+                    p95: this.percentile(sortedFinal, 95)
+                }
+            },
+            histogram: this.histogram(sortedPL, 30)
+        };
+    },
+
+    /**
+     * Equal-width histogram of an ascending sorted array
+     */
+    histogram(sorted, binCount) {
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / binCount || 1;
+        const counts = new Array(binCount).fill(0);
+
+        for (let i = 0; i < sorted.length; i++) {
+            const bin = Math.min(binCount - 1, Math.floor((sorted[i] - min) / width));
+            counts[bin]++;
+        }
+
+        return { min, max, width, counts };
+    }
+};
+
+// Global function for the Run Simulation button
+function runMonteCarlo() {
+    const statusEl = document.getElementById('mc-status');
+
+    if (!currentPricingInputs) {
+        statusEl.textContent = 'Load a full quote first';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    const inputs = currentPricingInputs;
+    const targetPct = parseFloat(document.getElementById('mc-profit-target').value);
+    const stopMultiple = parseFloat(document.getElementById('mc-stop-loss').value);
+    const paths = Math.min(20000, Math.max(100, parseInt(document.getElementById('mc-paths').value) || 2000));
+    const seedInput = parseInt(document.getElementById('mc-seed').value);
+    const seed = Number.isFinite(seedInput) ? seedInput : 42;
+
+    statusEl.textContent = `Simulating ${paths.toLocaleString()} paths...`;
+    statusEl.className = 'status-message loading';
+
+    // Let the status paint before the simulation blocks the thread
+    setTimeout(() => {
+        const result = MonteCarlo.simulate({
+            type: inputs.type,
+            S: inputs.S,
+            K: inputs.K,
+            T: inputs.T,
+            days: inputs.days,
+            r: inputs.r,
+            sigma: inputs.sigma,
+            q: inputs.q,
+            dividends: inputs.dividends,
+            premium: inputs.premium,
+            position: typeof PLChart !== 'undefined' ? PLChart.position : 'short',
+            contracts: parseInt(document.getElementById('yield-contracts').value) || 1,
+            paths,
+            seed,
+            mu: getDriftAssumption(inputs.r).mu,
+            model: document.getElementById('mc-model').value,
+            profitTarget: isFinite(targetPct) && targetPct > 0 ? targetPct / 100 : null,
+            stopLoss: isFinite(stopMultiple) && stopMultiple > 0 ? stopMultiple : null
+        });
+
+        renderMonteCarloResults(result);
+        statusEl.textContent = `${paths.toLocaleString()} paths, seed ${seed}`;
+        statusEl.className = 'status-message success';
+    }, 20);
+}
+
+/**
+ * Show simulation statistics and draw the P/L histogram
+ */
+function renderMonteCarloResults(result) {
+    const signed = (v) => (v >= 0 ? '+' : '-') + formatCurrency(Math.abs(v));
+
+    updateDisplay('mc-mean', signed(result.mean), result.mean >= 0 ? 'positive' : 'negative');
+    updateDisplay('mc-pop', formatYieldPercent(result.probProfit));
+    updateDisplay('mc-breach', formatYieldPercent(result.probBreach));
+    updateDisplay('mc-itm', formatYieldPercent(result.probITM));
+    updateDisplay('mc-p5', signed(result.percentiles[5]));
+    updateDisplay('mc-p50', signed(result.percentiles[50]));
+    updateDisplay('mc-p95', signed(result.percentiles[95]));
+    updateDisplay('mc-es', signed(result.expectedShortfall));
+    updateDisplay('mc-target-rate', formatYieldPercent(result.targetHitRate));
+    updateDisplay('mc-stop-rate', formatYieldPercent(result.stopHitRate));
+    updateDisplay('mc-days-held', result.avgDaysHeld.toFixed(1));
+    updateDisplay('mc-min-spot', formatCurrency(result.pathStats.minSpot.p5));
+
+    drawMonteCarloHistogram(result.histogram);
+}
+
+/**
+ * Draw the P/L histogram - profit bins green, loss bins red
+ */
+function drawMonteCarloHistogram(histogram) {
+    const canvas = document.getElementById('mc-histogram');
+    if (!canvas) return;
+
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    const colors = PLChart.colors;
+    const pad = { top: 15, right: 15, bottom: 30, left: 15 };
+    const width = rect.width - pad.left - pad.right;
+    const height = rect.height - pad.top - pad.bottom;
+    const maxCount = Math.max(...histogram.counts);
+    const barWidth = width / histogram.counts.length;
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, rect.width, rect.height);
+
+    histogram.counts.forEach((count, i) => {
+        const binMid = histogram.min + (i + 0.5) * histogram.width;
+        const barHeight = maxCount > 0 ? (count / maxCount) * height : 0;
+        ctx.fillStyle = binMid >= 0 ? colors.success : colors.danger;
+        ctx.globalAlpha = 0.7;
+        ctx.fillRect(pad.left + i * barWidth + 1, pad.top + height - barHeight, barWidth - 2, barHeight);
+    });
+    ctx.globalAlpha = 1;
+
+    // Axis labels at the ends and zero
+    ctx.fillStyle = colors.textSecondary;
+    ctx.font = '11px -apple-system, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText(formatCurrency(histogram.min), pad.left, rect.height - 10);
+    ctx.textAlign = 'right';
+    ctx.fillText(formatCurrency(histogram.max), rect.width - pad.right, rect.height - 10);
+
+    const span = histogram.max - histogram.min;
+    if (histogram.min < 0 && histogram.max > 0 && span > 0) {
+        const zeroX = pad.left + (-histogram.min / span) * width;
+        ctx.strokeStyle = colors.text;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(zeroX, pad.top);
+        ctx.lineTo(zeroX, pad.top + height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.textAlign = 'center';
+        ctx.fillText('$0', zeroX, rect.height - 10);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MonteCarlo;
+}
@@ -0,0 +1,374 @@
+/**
+ * Alternative Pricing Models and Model Selection
+ * Black-76 (on the forward, or a futures price) and Bachelier (normal) for low-priced
+ * underlyings, registered alongside Black-Scholes and the American tree.
+ * Every engine takes the same arguments in price, the Greeks and calculateAll:
+ * (type, S, K, T, r, sigma, q, dividends), with S the spot.
+ * sigma is in the engine's own convention: lognormal except for Bachelier,
+ * which takes a normal vol in price units - PricingModels.volatility turns
+ * the market IV into that once, at the current spot.
+ */
+
+/**
+ * Black-76 - European options priced on the forward
+ * S is the spot; the forward is built from it, r, q and the PV of discrete
+ * dividends. For a futures underlying, pass the futures price with q = r so
+ * the forward is the quoted futures price itself
+ */
+const Black76 = {
+    /**
+     * Forward price: escrowed spot carried at r - q to expiration
+     */
+    forward(S, T, r, q = 0, dividends = null) {
+        return BlackScholes.adjustedSpot(S, T, r, dividends) * Math.exp((r - q) * T);
+    },
+
+    /**
+     * dF/dr with the spot fixed: carry on the forward plus the dividends' PV
+     * shrinking as r rises
+     */
+    forwardRateSensitivity(S, T, r, q = 0, dividends = null) {
+        const dividendDuration = (dividends || []).reduce((sum, div) =>
+            div.t > 0 && div.t <= T ? sum + div.t * div.amount * Math.exp(-r * div.t) : sum, 0);
+        return T * this.forward(S, T, r, q, dividends) + Math.exp((r - q) * T) * dividendDuration;
+    },
+
+    /**
+     * Black's formula on a forward or futures price - Black-Scholes with q = r
+     */
+    priceForward(type, F, K, T, r, sigma) {
+        return BlackScholes.price(type, F, K, T, r, sigma, r);
+    },
+
+    price(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) return BlackScholes.intrinsicValue(type, S, K);
+        return this.priceForward(type, this.forward(S, T, r, q, dividends), K, T, r, sigma);
+    },
+
+    delta(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigma, q, dividends).delta;
+    },
+
+    gamma(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigma, q, dividends).gamma;
+    },
+
+    /**
+     * Returns daily theta
+     */
+    theta(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigma, q, dividends).theta;
+    },
+
+    /**
+     * Returns vega per 1% change in volatility
+     */
+    vega(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigma, q, dividends).vega;
+    },
+
+    /**
+     * Returns rho per 1% change in interest rate
+     */
+    rho(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigma, q, dividends).rho;
+    },
+
+    /**
+     * Greeks with respect to the spot, chained through the forward
+     */
+    calculateAll(type, S, K, T, r, sigma, q = 0, dividends = null) {
+        if (T <= 0) {
+            return BlackScholes.calculateAll(type, S, K, T, r, sigma, q, dividends);
+        }
+
+        const F = this.forward(S, T, r, q, dividends);
+        const growth = Math.exp((r - q) * T);
+        const price = this.priceForward(type, F, K, T, r, sigma);
+        const deltaF = BlackScholes.delta(type, F, K, T, r, sigma, r);
+
+        return {
+            price,
+            delta: deltaF * growth,
+            gamma: BlackScholes.gamma(type, F, K, T, r, sigma, r) * growth * growth,
+            // Black-Scholes theta at q = r holds F fixed; with S fixed F decays by the carry
+            theta: BlackScholes.theta(type, F, K, T, r, sigma, r) - deltaF * (r - q) * F / 365,
+            vega: BlackScholes.vega(type, F, K, T, r, sigma, r),
+            rho: (-T * price + deltaF * this.forwardRateSensitivity(S, T, r, q, dividends)) / 100
+        };
+    }
+};
+
+/**
+ * Bachelier (normal) model on the stock forward
+ * sigma is a normal volatility in price units ($ per sqrt(year)), held fixed
+ * as the spot moves - that is what separates it from Black-Scholes away from
+ * the money. Solve it from a quote with impliedVolatility, or convert a
+ * lognormal vol with normalVolatility
+ */
+const Bachelier = {
+    /**
+     * Forward price of the stock (escrowed for discrete dividends)
+     */
+    forward(S, T, r, q = 0, dividends = null) {
+        return Black76.forward(S, T, r, q, dividends);
+    },
+
+    /**
+     * Convert a lognormal (Black) vol to the equivalent normal vol
+     * Hagan et al. approximation - accurate to a few bp for listed equity options
+     */
+    normalVolatility(sigma, F, K, T) {
+        const logMoneyness = Math.log(F / K);
+        const base = Math.abs(logMoneyness) < 1e-6 ? F : (F - K) / logMoneyness;
+        return sigma * base / (1 + sigma * sigma * T / 24);
+    },
+
+    /**
+     * Core formula on the forward with a normal vol
+     */
+    priceNormal(type, F, K, T, r, sigmaN) {
+        const disc = Math.exp(-r * T);
+        if (T <= 0 || sigmaN <= 0) {
+            return disc * (type === 'call' ? Math.max(0, F - K) : Math.max(0, K - F));
+        }
+
+        const stdDev = sigmaN * Math.sqrt(T);
+        const d = (F - K) / stdDev;
+
+        if (type === 'call') {
+            return disc * ((F - K) * BlackScholes.normCDF(d) + stdDev * BlackScholes.normPDF(d));
+        } else {
+            return disc * ((K - F) * BlackScholes.normCDF(-d) + stdDev * BlackScholes.normPDF(d));
+        }
+    },
+
+    price(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        if (T <= 0) return BlackScholes.intrinsicValue(type, S, K);
+        return this.priceNormal(type, this.forward(S, T, r, q, dividends), K, T, r, sigmaN);
+    },
+
+    delta(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigmaN, q, dividends).delta;
+    },
+
+    gamma(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigmaN, q, dividends).gamma;
+    },
+
+    /**
+     * Returns daily theta
+     */
+    theta(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigmaN, q, dividends).theta;
+    },
+
+    /**
+     * Returns vega per 1% of the forward in normal vol, comparable to Black-Scholes vega
+     */
+    vega(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigmaN, q, dividends).vega;
+    },
+
+    /**
+     * Returns rho per 1% change in interest rate (forward held fixed)
+     */
+    rho(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        return this.calculateAll(type, S, K, T, r, sigmaN, q, dividends).rho;
+    },
+
+    /**
+     * Calculate all Greeks at once, with the normal vol held fixed
+     */
+    calculateAll(type, S, K, T, r, sigmaN, q = 0, dividends = null) {
+        const F = this.forward(S, T, r, q, dividends);
+        const price = this.price(type, S, K, T, r, sigmaN, q, dividends);
+
+        if (T <= 0 || !(sigmaN > 0)) {
+            const itm = type === 'call' ? F > K : K > F;
+            return { price, delta: itm ? (type === 'call' ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+        }
+
+        const disc = Math.exp(-r * T);
+        const growth = Math.exp((r - q) * T);
+        const sqrtT = Math.sqrt(T);
+        const d = (F - K) / (sigmaN * sqrtT);
+        const pdf = BlackScholes.normPDF(d);
+
+        // Sensitivities to F, chained to S through dF/dS = growth
+        const deltaF = type === 'call' ? disc * BlackScholes.normCDF(d) : -disc * BlackScholes.normCDF(-d);
+        const gammaF = disc * pdf / (sigmaN * sqrtT);
+
+        return {
+            price,
+            delta: deltaF * growth,
+            gamma: gammaF * growth * growth,
+            // -dP/dT: discounting, the forward's carry and the widening normal spread
+            theta: (r * price - deltaF * (r - q) * F - disc * sigmaN * pdf / (2 * sqrtT)) / 365,
+            vega: disc * sqrtT * pdf * F / 100,
+            rho: (-T * price + deltaF * Black76.forwardRateSensitivity(S, T, r, q, dividends)) / 100
+        };
+    },
+
+    /**
+     * Normal implied volatility from an option price
+     * Bisection-guarded Newton, like BlackScholes.impliedVolatility
+     * @returns {number|null} sigmaN in price units, null when no vol fits
+     */
+    impliedVolatility(type, marketPrice, S, K, T, r, q = 0, dividends = null) {
+        if (!(marketPrice > 0) || !(S > 0) || !(K > 0) || !(T > 0)) return null;
+
+        const F = this.forward(S, T, r, q, dividends);
+        const disc = Math.exp(-r * T);
+        const sqrtT = Math.sqrt(T);
+
+        // The normal price rises without bound in sigmaN, so only the intrinsic floor binds
+        if (marketPrice <= this.priceNormal(type, F, K, T, r, 0)) return null;
+
+        const tolerance = 1e-9;
+        let lo = 0;
+        let hi = F;
+        while (this.priceNormal(type, F, K, T, r, hi) < marketPrice && hi < F * 1e3) {
+            hi *= 2;
+        }
+        if (this.priceNormal(type, F, K, T, r, hi) < marketPrice) return null;
+
+        // ATM approximation price = disc x sigmaN x sqrt(T / 2pi), clamped into the bracket
+        let sigmaN = Math.min(hi, marketPrice / disc * Math.sqrt(2 * Math.PI) / sqrtT);
+
+        for (let i = 0; i < 100; i++) {
+            const diff = this.priceNormal(type, F, K, T, r, sigmaN) - marketPrice;
+
+            if (Math.abs(diff) < tolerance) return sigmaN;
+
+            if (diff > 0) {
+                hi = sigmaN;
+            } else {
+                lo = sigmaN;
+            }
+
+            const vega = disc * sqrtT * BlackScholes.normPDF((F - K) / (sigmaN * sqrtT));
+            let next = vega > 1e-12 ? sigmaN - diff / vega : NaN;
+
+            if (!(next > lo && next < hi)) {
+                next = 0.5 * (lo + hi);
+            }
+
+            if (Math.abs(next - sigmaN) < 1e-12) return next;
+            sigmaN = next;
+        }
+
+        return sigmaN;
+    }
+};
+
+/**
+ * Model registry and the user's current selection
+ */
+const PricingModels = {
+    selected: 'black-scholes',
+
+    models: {
+        'black-scholes': {
+            label: 'Black-Scholes',
+            description: 'European, lognormal',
+            engine: BlackScholes
+        },
+        'american': {
+            label: 'American (Binomial)',
+            description: 'Early exercise, lognormal',
+            engine: typeof AmericanOption !== 'undefined' ? AmericanOption : null
+        },
+        'black-76': {
+            label: 'Black-76',
+            description: 'Lognormal on the forward (spot less dividend PV, carried at r - q)',
+            engine: Black76
+        },
+        'bachelier': {
+            label: 'Bachelier',
+            description: 'Normal model for low-priced underlyings',
+            engine: Bachelier,
+            volatility: 'normal'
+        }
+    },
+
+    /**
+     * Look up a model (falls back to Black-Scholes)
+     */
+    get(id = this.selected) {
+        const model = this.models[id];
+        return model && model.engine ? model : this.models['black-scholes'];
+    },
+
+    select(id) {
+        if (this.models[id] && this.models[id].engine) {
+            this.selected = id;
+        }
+    },
+
+    /**
+     * The volatility a model prices with, from the market (lognormal) IV
+     * Normal models solve their own vol from the premium when there is one,
+     * else convert the IV at this spot; either way the result is then held
+     * fixed for price, priceMany and the P/L chart
+     * @param {number} premium - Market price of the contract, optional
+     */
+    volatility(type, S, K, T, r, sigma, q = 0, dividends = null, premium = null, id = this.selected) {
+        if (this.get(id).volatility !== 'normal') return sigma;
+
+        const solved = Bachelier.impliedVolatility(type, premium, S, K, T, r, q, dividends);
+        if (solved !== null) return solved;
+        return Bachelier.normalVolatility(sigma, Bachelier.forward(S, T, r, q, dividends), K, T);
+    },
+
+    /**
+     * Whether the model's vol is in price units rather than lognormal
+     */
+    isNormal(id = this.selected) {
+        return this.get(id).volatility === 'normal';
+    },
+
+    price(type, S, K, T, r, sigma, q = 0, dividends = null, id = this.selected) {
+        return this.get(id).engine.price(type, S, K, T, r, sigma, q, dividends);
+    },
+
+    calculateAll(type, S, K, T, r, sigma, q = 0, dividends = null, id = this.selected) {
+        return this.get(id).engine.calculateAll(type, S, K, T, r, sigma, q, dividends);
+    },
+
+    /**
+     * Price one contract across many underlying prices (P/L curves)
+     * Black-Scholes goes through the batch API; other models loop
+     * @param {number|Array} sigma - One vol in the model's convention, or one per spot (smile-aware curves)
+     */
+    priceMany(type, spots, K, T, r, sigma, q = 0, dividends = null, id = this.selected) {
+        if (this.get(id).engine === BlackScholes) {
+            return BlackScholes.calculateBatch(type, { S: spots, K, T, r, sigma, q, dividends }, false).price;
+        }
+
+        const engine = this.get(id).engine;
+        const out = new Float64Array(spots.length);
+        for (let i = 0; i < spots.length; i++) {
+            const sigmai = typeof sigma === 'number' ? sigma : sigma[i];
+            out[i] = engine.price(type, spots[i], K, T, r, sigmai, q, dividends);
+        }
+        return out;
+    }
+};
+
+// Global function for the model selector
+function setPricingModel(id) {
+    PricingModels.select(id);
+
+    const descEl = document.getElementById('pricing-model-desc');
+    if (descEl) {
+        descEl.textContent = PricingModels.get().description;
+    }
+
+    refreshPricing();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Black76, Bachelier, PricingModels };
+}
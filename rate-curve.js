@@ -0,0 +1,242 @@
+/**
+ * Risk-Free Rate Curve
+ * Treasury bill/note yields by tenor, editable and persisted in localStorage
+ * or imported from CSV. Rates are interpolated linearly in days to expiry;
+ * quoted yields convert to the continuous rate the pricing models expect.
+ */
+
+const RateCurve = {
+    storageKey: 'rate_curve',
+
+    // Quoted (bond-equivalent) yields, decimal. Edit or import current values
+    defaultPoints: [
+        { days: 30, rate: 0.0420 },
+        { days: 91, rate: 0.0405 },
+        { days: 182, rate: 0.0390 },
+        { days: 365, rate: 0.0370 },
+        { days: 730, rate: 0.0355 },
+        { days: 1825, rate: 0.0365 },
+        { days: 3650, rate: 0.0405 }
+    ],
+
+    // [{ days, rate }] ascending by days
+    points: [],
+    asOf: null,
+    onChange: null,
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            saved = null;
+        }
+
+        if (saved && Array.isArray(saved.points) && saved.points.length > 0) {
+            this.points = saved.points;
+            this.asOf = saved.asOf || null;
+        } else {
+            this.points = this.defaultPoints.map(point => ({ ...point }));
+            this.asOf = null;
+        }
+        this.sort();
+    },
+
+    save() {
+        this.asOf = MarketCalendar.etParts(new Date()).date;
+        localStorage.setItem(this.storageKey, JSON.stringify({ points: this.points, asOf: this.asOf }));
+        this.notify();
+    },
+
+    reset() {
+        localStorage.removeItem(this.storageKey);
+        this.load();
+        this.notify();
+    },
+
+    notify() {
+        this.render();
+        if (typeof this.onChange === 'function') {
+            this.onChange();
+        }
+    },
+
+    sort() {
+        this.points.sort((a, b) => a.days - b.days);
+    },
+
+    /**
+     * Add or replace the yield at a tenor
+     */
+    set(days, rate) {
+        if (!(days > 0) || !isFinite(rate)) return false;
+
+        this.points = this.points.filter(point => point.days !== days);
+        this.points.push({ days, rate });
+        this.sort();
+        this.save();
+        return true;
+    },
+
+    remove(index) {
+        // An empty curve has nothing to interpolate
+        if (this.points.length <= 1) return;
+        this.points.splice(index, 1);
+        this.save();
+    },
+
+    /**
+     * Quoted yield for a tenor - linear in days, flat beyond the ends
+     */
+    rate(days) {
+        const points = this.points;
+        if (points.length === 0) return 0;
+        if (days <= points[0].days) return points[0].rate;
+
+        for (let i = 1; i < points.length; i++) {
+            if (days <= points[i].days) {
+                const lo = points[i - 1];
+                const hi = points[i];
+                return lo.rate + (hi.rate - lo.rate) * (days - lo.days) / (hi.days - lo.days);
+            }
+        }
+        return points[points.length - 1].rate;
+    },
+
+    /**
+     * Continuously compounded rate for a tenor - what BlackScholes takes as r
+     * Bills (a year or less) are simple interest over the term; notes are semiannual
+     */
+    continuousRate(days) {
+        const y = this.rate(days);
+        const T = Math.max(days, 1) / 365;
+        return T <= 1 ? Math.log(1 + y * T) / T : 2 * Math.log(1 + y / 2);
+    },
+
+    /**
+     * Tenor label, e.g. 30 -> '1M', 91 -> '3M', 730 -> '2Y'
+     */
+    tenorLabel(days) {
+        if (days >= 365 && days % 365 === 0) return `${days / 365}Y`;
+        const months = Math.round(days / 30.4);
+        if (months >= 1 && Math.abs(months * 30.4 - days) <= 2) return `${months}M`;
+        if (days % 7 === 0) return `${days / 7}W`;
+        return `${days}D`;
+    },
+
+    /**
+     * Tenor text to days: '30', '30D', '13W', '6M', '2Y'
+     */
+    parseTenor(text) {
+        const match = /^(\d+(?:\.\d+)?)\s*([dwmy])?$/i.exec(String(text).trim());
+        if (!match) return null;
+
+        const n = parseFloat(match[1]);
+        const unit = (match[2] || 'd').toLowerCase();
+        const days = { d: n, w: n * 7, m: n * 365 / 12, y: n * 365 }[unit];
+        return days > 0 ? Math.round(days) : null;
+    },
+
+    /**
+     * Replace the curve from CSV lines of "tenor,yield" (yield in percent, as
+     * Treasury publishes it). A header line and blank lines are skipped.
+     * @returns {Object} { imported, errors: [line numbers] }
+     */
+    importCsv(text) {
+        const points = [];
+        const errors = [];
+
+        text.split(/\r?\n/).forEach((line, i) => {
+            if (!line.trim()) return;
+            const [tenor, value] = line.split(/[,;\t]/).map(cell => cell && cell.trim().replace(/%$/, ''));
+            const days = this.parseTenor(tenor);
+            const number = parseFloat(value);
+
+            if (days === null || !isFinite(number)) {
+                // Tolerate a header row
+                if (i > 0 || /\d/.test(line)) errors.push(i + 1);
+                return;
+            }
+            points.push({ days, rate: +(number / 100).toFixed(6) });
+        });
+
+        if (points.length > 0) {
+            this.points = points;
+            this.sort();
+            this.save();
+        }
+        return { imported: points.length, errors };
+    },
+
+    render() {
+        const tableEl = document.getElementById('rate-curve-table');
+        if (!tableEl) return;
+
+        tableEl.innerHTML = this.points.map((point, i) => `
+            <div class="dividend-row">
+                <span class="dividend-date">${this.tenorLabel(point.days)}</span>
+                <span>${point.days} days</span>
+                <span class="dividend-amount">${(point.rate * 100).toFixed(2)}%</span>
+                <button class="dividend-remove" onclick="removeRatePoint(${i})" title="Remove">&times;</button>
+            </div>
+        `).join('');
+
+        document.getElementById('rate-curve-as-of').textContent = this.asOf ? `Edited ${this.asOf}` : 'Default curve';
+    }
+};
+
+// Global function for the add-rate button
+function addRatePoint() {
+    const tenorInput = document.getElementById('rate-tenor');
+    const rateInput = document.getElementById('rate-value');
+
+    if (RateCurve.set(RateCurve.parseTenor(tenorInput.value), +(parseFloat(rateInput.value) / 100).toFixed(6))) {
+        tenorInput.value = '';
+        rateInput.value = '';
+    }
+}
+
+// Global function for the per-row remove button
+function removeRatePoint(index) {
+    RateCurve.remove(index);
+}
+
+// Global function for the reset button
+function resetRateCurve() {
+    RateCurve.reset();
+}
+
+// Global function for the CSV file input
+function importRateCurve(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    const statusEl = document.getElementById('rate-curve-status');
+    file.text().then(text => {
+        const result = RateCurve.importCsv(text);
+        statusEl.textContent = result.imported > 0
+            ? `Imported ${result.imported} tenors` + (result.errors.length ? ` (skipped lines ${result.errors.join(', ')})` : '')
+            : 'No "tenor,yield" rows found';
+        statusEl.className = 'status-message ' + (result.imported > 0 ? 'success' : 'error');
+        input.value = '';
+    });
+}
+
+// Load the saved curve straight away - pricing can run before DOMContentLoaded handlers
+if (typeof localStorage !== 'undefined') {
+    RateCurve.load();
+} else {
+    RateCurve.points = RateCurve.defaultPoints.map(point => ({ ...point }));
+}
+
+// Render the curve when DOM is ready
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        RateCurve.render();
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RateCurve;
+}
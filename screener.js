@@ -0,0 +1,376 @@
+/**
+ * Watchlist Screener
+ * Scans a saved list of tickers with one chain request each (side and DTE
+ * window as request filters), keeps the contracts that pass the rules and
+ * ranks them by annualized yield or yield per unit of delta.
+ */
+
+const Screener = {
+    watchlist: [],
+    rules: null,
+    defaultRules: {
+        side: 'put',
+        minDte: 7,
+        maxDte: 45,
+        rangeType: 'delta',     // 'delta' (|delta|) or 'otm' (fraction out of the money)
+        rangeMin: 0.15,
+        rangeMax: 0.30,
+        minOpenInterest: 100,
+        minVolume: 0,
+        maxSpreadPercent: 0.10, // (ask - bid) / mid
+        rankBy: 'yield'         // 'yield' or 'yieldPerRisk'
+    },
+
+    maxPerTicker: 3,
+    maxResults: 50,
+
+    candidates: [],     // every contract that passed the rules in the last scan
+    results: [],
+    errors: {},
+    scanId: 0,
+    scanning: false,
+
+    /**
+     * Restore the watchlist and rules from localStorage
+     */
+    load() {
+        const stored = (key) => {
+            try {
+                return JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                return null;
+            }
+        };
+
+        this.watchlist = stored('screener_watchlist') || [];
+        this.rules = { ...this.defaultRules, ...(stored('screener_rules') || {}) };
+    },
+
+    save() {
+        localStorage.setItem('screener_watchlist', JSON.stringify(this.watchlist));
+        localStorage.setItem('screener_rules', JSON.stringify(this.rules));
+    },
+
+    addTicker(ticker) {
+        ticker = ticker.trim().toUpperCase();
+        if (!/^[A-Z0-9.\-]+$/.test(ticker) || this.watchlist.includes(ticker)) return false;
+        this.watchlist.push(ticker);
+        this.save();
+        return true;
+    },
+
+    removeTicker(ticker) {
+        this.watchlist = this.watchlist.filter(t => t !== ticker);
+        this.save();
+    },
+
+    /**
+     * Scan every watchlist ticker in turn, re-ranking after each one
+     * @param {Function} onProgress - Called with (ticker, index, total) before each scan
+     * @returns {boolean} False if the scan was stopped or superseded
+     */
+    async scan(onProgress = null) {
+        const scanId = ++this.scanId;
+        const tickers = this.watchlist.slice();
+
+        this.candidates = [];
+        this.results = [];
+        this.errors = {};
+        this.scanning = true;
+
+        try {
+            for (let i = 0; i < tickers.length; i++) {
+                const ticker = tickers[i];
+                if (onProgress) onProgress(ticker, i, tickers.length);
+
+                try {
+                    const contracts = await this.scanTicker(ticker);
+                    if (scanId !== this.scanId) return false;
+                    this.candidates.push(...contracts);
+                } catch (error) {
+                    if (scanId !== this.scanId) return false;
+                    // Every other ticker would hit the same bad token or exhausted quota
+                    if (error.kind === 'auth' || error.kind === 'rate-limit') throw error;
+                    this.errors[ticker] = error.message;
+                }
+
+                this.results = this.rank(this.candidates);
+                this.render();
+            }
+            return true;
+        } finally {
+            if (scanId === this.scanId) this.scanning = false;
+        }
+    },
+
+    stop() {
+        this.scanId++;
+        this.scanning = false;
+    },
+
+    /**
+     * Contracts for one ticker that pass the current rules
+     */
+    async scanTicker(ticker) {
+        const rules = this.rules;
+        const today = MarketCalendar.etParts(new Date()).date;
+
+        const stock = await MarketData.getStockQuote(ticker);
+        const chain = await MarketData.getOptionChain(ticker, {
+            side: rules.side,
+            from: MarketCalendar.addDays(today, rules.minDte),
+            to: MarketCalendar.addDays(today, rules.maxDte)
+        });
+
+        return chain
+            .filter(option => option.side === rules.side)
+            .map(option => this.evaluate(ticker, stock.price, option))
+            .filter(contract => contract && this.passes(contract));
+    },
+
+    /**
+     * Yield, risk and liquidity figures for one chain row
+     */
+    evaluate(ticker, S, option) {
+        const expiry = MarketCalendar.timeToExpiry(option.expiration);
+        if (expiry.expired || !(option.strike > 0)) return null;
+
+        const bid = option.bid || 0;
+        const ask = option.ask || 0;
+        const mid = option.mid || (bid + ask) / 2;
+        const metrics = computeYieldMetrics(S, option.strike, expiry, mid, option.side);
+        if (!metrics) return null;
+
+        const r = RateCurve.continuousRate(expiry.calendarDays);
+        const signedDelta = BlackScholes.chainDelta(option, mid, S, expiry.calendarT, r);
+        const delta = signedDelta !== null ? Math.abs(signedDelta) : null;
+
+        return {
+            ticker,
+            spot: S,
+            side: option.side,
+            expiration: option.expiration,
+            dte: expiry.dte,
+            strike: option.strike,
+            mid,
+            delta,
+            otmPercent: option.side === 'put' ? (S - option.strike) / S : (option.strike - S) / S,
+            openInterest: option.openInterest || 0,
+            volume: option.volume || 0,
+            spreadPercent: mid > 0 ? (ask - bid) / mid : Infinity,
+            periodYield: metrics.periodYield,
+            annualizedYield: metrics.annualizedYield,
+            // Annualized yield per unit of delta (a rough assignment probability)
+            yieldPerRisk: delta > 0 ? metrics.annualizedYield / delta : null
+        };
+    },
+
+    passes(contract) {
+        const rules = this.rules;
+        if (contract.dte < rules.minDte || contract.dte > rules.maxDte) return false;
+        if (contract.openInterest < rules.minOpenInterest) return false;
+        if (contract.volume < rules.minVolume) return false;
+        if (contract.spreadPercent > rules.maxSpreadPercent) return false;
+
+        const value = rules.rangeType === 'otm' ? contract.otmPercent : contract.delta;
+        return value !== null && value >= rules.rangeMin && value <= rules.rangeMax;
+    },
+
+    /**
+     * Best first, keeping a few per ticker so one deep chain cannot crowd out the rest
+     */
+    rank(contracts) {
+        const key = this.rules.rankBy === 'yieldPerRisk' ? 'yieldPerRisk' : 'annualizedYield';
+        const perTicker = {};
+
+        return contracts
+            .filter(contract => contract[key] !== null)
+            .sort((a, b) => b[key] - a[key])
+            .filter(contract => (perTicker[contract.ticker] = (perTicker[contract.ticker] || 0) + 1) <= this.maxPerTicker)
+            .slice(0, this.maxResults);
+    },
+
+    renderWatchlist() {
+        const list = document.getElementById('watchlist-tickers');
+        if (!list) return;
+
+        list.innerHTML = this.watchlist.length === 0
+            ? '<span class="watchlist-empty">No tickers yet</span>'
+            : this.watchlist.map(ticker =>
+                `<span class="watchlist-chip">${ticker}<button onclick="removeWatchlistTicker('${ticker}')" title="Remove">&times;</button></span>`
+            ).join('');
+    },
+
+    render() {
+        const table = document.getElementById('screener-table');
+        if (!table) return;
+
+        if (this.results.length === 0) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const header = ['#', 'Ticker', 'Expiration', 'DTE', 'Strike', 'Mid', '|Delta|', '% OTM', 'OI', 'Spread', 'Annualized', 'Yield / Delta']
+            .map(label => `<th>${label}</th>`).join('');
+
+        const body = this.results.map((c, i) => {
+            const params = new URLSearchParams({ ticker: c.ticker, type: c.side, exp: c.expiration, strike: c.strike });
+            return `<tr onclick="openScreenerResult(${i})">` +
+                `<td>${i + 1}</td>` +
+                `<td class="ticker-cell">${c.ticker} <a href="?${params}" target="_blank" title="Open in a new tab" onclick="event.stopPropagation()">&#8599;</a></td>` +
+                `<td>${c.expiration}</td>` +
+                `<td>${c.dte}</td>` +
+                `<td>$${c.strike.toFixed(2)}</td>` +
+                `<td>$${c.mid.toFixed(2)}</td>` +
+                `<td>${c.delta !== null ? c.delta.toFixed(2) : '--'}</td>` +
+                `<td>${(c.otmPercent * 100).toFixed(1)}%</td>` +
+                `<td>${c.openInterest.toLocaleString()}</td>` +
+                `<td>${(c.spreadPercent * 100).toFixed(1)}%</td>` +
+                `<td class="${yieldColorClass(c.annualizedYield)}">${formatYieldPercent(c.annualizedYield)}</td>` +
+                `<td>${c.yieldPerRisk !== null ? c.yieldPerRisk.toFixed(2) : '--'}</td>` +
+                '</tr>';
+        }).join('');
+
+        table.innerHTML = `<thead><tr>${header}</tr></thead><tbody>${body}</tbody>`;
+    }
+};
+
+// Global function for the add button / Enter key
+function addWatchlistTicker() {
+    const input = document.getElementById('watchlist-input');
+    input.value.split(/[\s,]+/).forEach(ticker => Screener.addTicker(ticker));
+    input.value = '';
+    Screener.renderWatchlist();
+}
+
+// Global function for the chip remove buttons
+function removeWatchlistTicker(ticker) {
+    Screener.removeTicker(ticker);
+    Screener.renderWatchlist();
+}
+
+/**
+ * Copy the rule inputs into Screener.rules and persist them
+ */
+function readScreenerRules() {
+    const value = (id, fallback) => {
+        const parsed = parseFloat(document.getElementById(id).value);
+        return isNaN(parsed) ? fallback : parsed;
+    };
+    const rangeType = document.getElementById('screener-range-type').value;
+    // %OTM is entered in percent, delta as a decimal
+    const rangeScale = rangeType === 'otm' ? 100 : 1;
+
+    Screener.rules = {
+        side: document.getElementById('screener-side').value,
+        minDte: value('screener-min-dte', 0),
+        maxDte: value('screener-max-dte', 365),
+        rangeType,
+        rangeMin: value('screener-range-min', -Infinity) / rangeScale,
+        rangeMax: value('screener-range-max', Infinity) / rangeScale,
+        minOpenInterest: value('screener-min-oi', 0),
+        minVolume: value('screener-min-volume', 0),
+        maxSpreadPercent: value('screener-max-spread', Infinity) / 100,
+        rankBy: document.getElementById('screener-rank').value
+    };
+    Screener.save();
+}
+
+/**
+ * Fill the rule inputs from Screener.rules
+ */
+function displayScreenerRules() {
+    const rules = Screener.rules;
+    const rangeScale = rules.rangeType === 'otm' ? 100 : 1;
+
+    document.getElementById('screener-side').value = rules.side;
+    document.getElementById('screener-min-dte').value = rules.minDte;
+    document.getElementById('screener-max-dte').value = rules.maxDte;
+    document.getElementById('screener-range-type').value = rules.rangeType;
+    document.getElementById('screener-range-min').value = +(rules.rangeMin * rangeScale).toFixed(4);
+    document.getElementById('screener-range-max').value = +(rules.rangeMax * rangeScale).toFixed(4);
+    document.getElementById('screener-min-oi').value = rules.minOpenInterest;
+    document.getElementById('screener-min-volume').value = rules.minVolume;
+    document.getElementById('screener-max-spread').value = +(rules.maxSpreadPercent * 100).toFixed(2);
+    document.getElementById('screener-rank').value = rules.rankBy;
+}
+
+// Global function for the range selector - delta and %OTM ranges do not translate
+function setScreenerRangeType(rangeType) {
+    readScreenerRules();
+    Screener.rules.rangeType = rangeType;
+    Screener.rules.rangeMin = rangeType === 'otm' ? 0.05 : 0.15;
+    Screener.rules.rangeMax = rangeType === 'otm' ? 0.15 : 0.30;
+    Screener.save();
+    displayScreenerRules();
+}
+
+// Global function for the rank selector - re-sorts without rescanning
+function setScreenerRank() {
+    readScreenerRules();
+    Screener.results = Screener.rank(Screener.candidates);
+    Screener.render();
+}
+
+// Global function for the scan button
+async function runScreener() {
+    const statusEl = document.getElementById('screener-status');
+
+    if (Screener.watchlist.length === 0) {
+        statusEl.textContent = 'Add tickers to the watchlist first';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    readScreenerRules();
+    statusEl.className = 'status-message loading';
+
+    try {
+        const completed = await Screener.scan((ticker, index, total) => {
+            statusEl.textContent = `Scanning ${ticker} (${index + 1} of ${total})...`;
+        });
+        if (!completed) return;
+
+        const failed = Object.keys(Screener.errors);
+        statusEl.textContent = `${Screener.results.length} contracts ranked` +
+            (failed.length > 0 ? ` - failed: ${failed.map(t => `${t} (${Screener.errors[t]})`).join(', ')}` : '');
+        statusEl.className = failed.length > 0 ? 'status-message error' : 'status-message success';
+    } catch (error) {
+        console.error('Screener scan failed:', error);
+        statusEl.textContent = `Error: ${error.message}`;
+        statusEl.className = 'status-message error';
+    }
+}
+
+// Global function for the stop button - keeps the results ranked so far
+function stopScreener() {
+    if (!Screener.scanning) return;
+    Screener.stop();
+
+    const statusEl = document.getElementById('screener-status');
+    statusEl.textContent = `Stopped - ${Screener.results.length} contracts ranked`;
+    statusEl.className = 'status-message';
+}
+
+// Global function for result clicks - load the contract into the main view
+async function openScreenerResult(index) {
+    const contract = Screener.results[index];
+    if (!contract) return;
+
+    if (contract.ticker !== currentTicker) {
+        document.getElementById('ticker').value = contract.ticker;
+        await fetchMarketData(contract.ticker);
+    }
+    await selectContract(contract.side, contract.expiration, contract.strike);
+}
+
+// Restore the watchlist and rules when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    Screener.load();
+    Screener.renderWatchlist();
+    displayScreenerRules();
+
+    document.getElementById('watchlist-input').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') addWatchlistTicker();
+    });
+});
@@ -0,0 +1,423 @@
+/**
+ * Volatility Smile and Surface
+ * Fits a raw SVI smile per expiration to chain IVs and interpolates total
+ * variance across expirations into a term-structure surface
+ */
+
+const VolSurface = {
+    ticker: '',
+    spot: 0,
+    rateAt: () => 0,
+    q: 0,
+    // [{ expiration, T, forward, params, points: [{ strike, k, iv, side }] }] sorted by T
+    slices: [],
+
+    /**
+     * Raw SVI total variance w(k) = a + b * (rho * (k - m) + sqrt((k - m)^2 + s^2))
+     * @param {Object} p - { a, b, rho, m, s }
+     * @param {number} k - Log-moneyness ln(K / F)
+     */
+    sviTotalVariance(p, k) {
+        const x = k - p.m;
+        return p.a + p.b * (p.rho * x + Math.sqrt(x * x + p.s * p.s));
+    },
+
+    /**
+     * Minimize f over R^n with the Nelder-Mead simplex method
+     */
+    nelderMead(f, x0, step = 0.1, maxIter = 800, tolerance = 1e-12) {
+        const n = x0.length;
+        let simplex = [x0.slice()];
+        for (let i = 0; i < n; i++) {
+            const x = x0.slice();
+            x[i] += step * (Math.abs(x[i]) > 1e-3 ? Math.abs(x[i]) : 1);
+            simplex.push(x);
+        }
+        let values = simplex.map(f);
+
+        for (let iter = 0; iter < maxIter; iter++) {
+            const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+            simplex = order.map(i => simplex[i]);
+            values = order.map(i => values[i]);
+
+            if (Math.abs(values[n] - values[0]) < tolerance) break;
+
+            const centroid = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+            }
+            const along = (coef) => centroid.map((c, j) => c + coef * (simplex[n][j] - c));
+
+            const reflected = along(-1);
+            const fr = f(reflected);
+
+            if (fr < values[0]) {
+                const expanded = along(-2);
+                const fe = f(expanded);
+                if (fe < fr) {
+                    simplex[n] = expanded;
+                    values[n] = fe;
+                } else {
+                    simplex[n] = reflected;
+                    values[n] = fr;
+                }
+            } else if (fr < values[n - 1]) {
+                simplex[n] = reflected;
+                values[n] = fr;
+            } else {
+                const contracted = fr < values[n] ? along(-0.5) : along(0.5);
+                const fc = f(contracted);
+                if (fc < Math.min(fr, values[n])) {
+                    simplex[n] = contracted;
+                    values[n] = fc;
+                } else {
+                    // Shrink toward the best vertex
+                    for (let i = 1; i <= n; i++) {
+                        simplex[i] = simplex[i].map((v, j) => simplex[0][j] + 0.5 * (v - simplex[0][j]));
+                        values[i] = f(simplex[i]);
+                    }
+                }
+            }
+        }
+
+        const best = values.indexOf(Math.min(...values));
+        return { x: simplex[best], value: values[best] };
+    },
+
+    /**
+     * Fit SVI parameters to one expiration's points
+     * Least squares on total variance, weighted toward the money; parameters
+     * outside the arbitrage-free region are penalized
+     * @param {Array} points - [{ k, iv }]
+     * @param {number} T - Time to expiration (in years)
+     */
+    fitSlice(points, T) {
+        const data = points.map(pt => ({
+            k: pt.k,
+            w: pt.iv * pt.iv * T,
+            weight: 1 / (1 + 25 * pt.k * pt.k)
+        }));
+
+        const atm = data.reduce((best, pt) => Math.abs(pt.k) < Math.abs(best.k) ? pt : best, data[0]);
+        const x0 = [Math.max(1e-4, atm.w * 0.9), 0.1, -0.3, 0, 0.1];
+
+        const toParams = (x) => ({ a: x[0], b: x[1], rho: x[2], m: x[3], s: x[4] });
+        const objective = (x) => {
+            const p = toParams(x);
+            if (p.b < 0 || p.s <= 1e-4 || Math.abs(p.rho) >= 0.999) return 1e6;
+            if (p.a + p.b * p.s * Math.sqrt(1 - p.rho * p.rho) < 0) return 1e6;
+
+            let err = 0;
+            for (const pt of data) {
+                const diff = this.sviTotalVariance(p, pt.k) - pt.w;
+                err += pt.weight * diff * diff;
+            }
+            return err;
+        };
+
+        const result = this.nelderMead(objective, x0, 0.2);
+        return toParams(result.x);
+    },
+
+    /**
+     * Build the surface from normalized chain rows
+     * Uses out-of-the-money quotes (puts below the forward, calls above) with a
+     * usable IV; missing feed IVs are solved from the mid price
+     * @param {Array} rows - Normalized chain rows from MarketData.getOptionChain
+     * @param {number|Function} r - Risk-free rate, or a function of T for a curve
+     */
+    build(ticker, rows, S, r, q = 0) {
+        const rateAt = typeof r === 'function' ? r : () => r;
+
+        const byExpiration = {};
+        rows.forEach(row => {
+            if (!row.expiration || !(row.strike > 0)) return;
+            (byExpiration[row.expiration] = byExpiration[row.expiration] || []).push(row);
+        });
+
+        const slices = [];
+        Object.keys(byExpiration).sort().forEach(expiration => {
+            const T = MarketCalendar.calendarDays(expiration) / 365;
+            if (T <= 0) return;
+            const rT = rateAt(T);
+            const forward = S * Math.exp((rT - q) * T);
+
+            const points = [];
+            byExpiration[expiration].forEach(row => {
+                const otm = row.side === 'put' ? row.strike <= forward : row.strike >= forward;
+                if (!otm) return;
+
+                let iv = row.iv;
+                if (!(iv > 0.01 && iv < 5) && row.mid > 0) {
+                    iv = BlackScholes.impliedVolatility(row.side, row.mid, S, row.strike, T, rT, q);
+                }
+                if (iv > 0.01 && iv < 5) {
+                    points.push({ strike: row.strike, k: Math.log(row.strike / forward), iv, side: row.side });
+                }
+            });
+
+            // SVI has five parameters - need more points than that to say anything
+            if (points.length < 6) return;
+
+            points.sort((a, b) => a.strike - b.strike);
+            slices.push({ expiration, T, forward, params: this.fitSlice(points, T), points });
+        });
+
+        this.ticker = ticker;
+        this.spot = S;
+        this.rateAt = rateAt;
+        this.q = q;
+        this.slices = slices.sort((a, b) => a.T - b.T);
+        return this.slices;
+    },
+
+    reset() {
+        this.ticker = '';
+        this.slices = [];
+    },
+
+    isReady(ticker) {
+        return this.ticker === ticker && this.slices.length > 0;
+    },
+
+    getSlice(expiration) {
+        return this.slices.find(slice => slice.expiration === expiration) || null;
+    },
+
+    /**
+     * Surface implied vol for a strike and expiry
+     * Linear in total variance between fitted expirations at fixed moneyness,
+     * flat vol outside the fitted range
+     * @param {number} S - Spot to measure moneyness from (defaults to the fit spot)
+     */
+    impliedVol(K, T, S = this.spot) {
+        if (this.slices.length === 0 || T <= 0) return null;
+
+        const k = Math.log(K / (S * Math.exp((this.rateAt(T) - this.q) * T)));
+        const volAt = (slice) => Math.sqrt(Math.max(1e-8, this.sviTotalVariance(slice.params, k)) / slice.T);
+
+        const first = this.slices[0];
+        const last = this.slices[this.slices.length - 1];
+        if (T <= first.T) return volAt(first);
+        if (T >= last.T) return volAt(last);
+
+        for (let i = 1; i < this.slices.length; i++) {
+            const hi = this.slices[i];
+            if (T <= hi.T) {
+                const lo = this.slices[i - 1];
+                const wLo = this.sviTotalVariance(lo.params, k);
+                const wHi = this.sviTotalVariance(hi.params, k);
+                const w = wLo + (wHi - wLo) * (T - lo.T) / (hi.T - lo.T);
+                return Math.sqrt(Math.max(1e-8, w) / T);
+            }
+        }
+        return volAt(last);
+    },
+
+    /**
+     * Vol as a function of hypothetical spot for one contract (sticky moneyness)
+     * Anchored so the vol at today's spot equals the contract's market IV
+     */
+    stickyMoneynessVol(K, T, S, marketIV) {
+        const surfaceNow = this.impliedVol(K, T, S);
+        if (surfaceNow === null) return () => marketIV;
+
+        const offset = marketIV - surfaceNow;
+        return (spot) => Math.max(0.01, this.impliedVol(K, T, spot) + offset);
+    },
+
+    /**
+     * ATM vol per fitted expiration
+     */
+    termStructure() {
+        return this.slices.map(slice => ({
+            expiration: slice.expiration,
+            T: slice.T,
+            atmVol: Math.sqrt(Math.max(1e-8, this.sviTotalVariance(slice.params, 0)) / slice.T)
+        }));
+    }
+};
+
+// Nearest expirations fitted alongside the selected one
+const SMILE_EXPIRATIONS = 6;
+
+/**
+ * Fetch chains for the nearest expirations and fit the surface
+ */
+async function fitVolSurface() {
+    const statusEl = document.getElementById('smile-status');
+    const ticker = currentTicker;
+
+    if (!ticker || !currentStockPrice || expirationDates.length === 0) {
+        statusEl.textContent = 'Load a ticker first';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    const targets = expirationDates.slice(0, SMILE_EXPIRATIONS);
+    if (currentExpiration && !targets.includes(currentExpiration)) {
+        targets.push(currentExpiration);
+    }
+
+    const rows = [];
+    for (let i = 0; i < targets.length; i++) {
+        statusEl.textContent = `Loading chain ${i + 1} of ${targets.length}...`;
+        statusEl.className = 'status-message loading';
+        try {
+            rows.push(...await MarketData.getOptionChain(ticker, { expiration: targets[i] }));
+        } catch (error) {
+            console.log(`Chain for ${targets[i]} unavailable:`, error.message);
+        }
+        // Ticker changed mid-fetch - drop the stale fit
+        if (ticker !== currentTicker) return;
+    }
+
+    // Each expiration discounts at its own point on the rate curve
+    VolSurface.build(ticker, rows, currentStockPrice, (T) => RateCurve.continuousRate(T * 365), 0);
+
+    if (VolSurface.slices.length === 0) {
+        statusEl.textContent = 'Not enough quotes to fit a smile';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    statusEl.textContent = `Fitted ${VolSurface.slices.length} expiration${VolSurface.slices.length === 1 ? '' : 's'}`;
+    statusEl.className = 'status-message success';
+
+    renderVolSmile();
+    refreshPricing();
+}
+
+/**
+ * Show the fitted smile for the chosen expiration with the selected strike highlighted
+ */
+function renderVolSmile() {
+    const select = document.getElementById('smile-expiration');
+    if (!select) return;
+
+    if (!VolSurface.isReady(currentTicker)) {
+        select.innerHTML = '<option value="">Fit a surface first</option>';
+        ['smile-atm-vol', 'smile-strike-vol', 'smile-skew', 'smile-term'].forEach(id => {
+            document.getElementById(id).textContent = '--';
+        });
+        drawVolSmile(null);
+        return;
+    }
+
+    // Keep the user's choice if it is still fitted, otherwise follow the selected expiration
+    const previous = select.value;
+    const fallback = VolSurface.getSlice(currentExpiration) ? currentExpiration : VolSurface.slices[0].expiration;
+    const chosen = VolSurface.getSlice(previous) ? previous : fallback;
+
+    select.innerHTML = VolSurface.slices.map(slice =>
+        `<option value="${slice.expiration}"${slice.expiration === chosen ? ' selected' : ''}>${slice.expiration}</option>`
+    ).join('');
+
+    const slice = VolSurface.getSlice(chosen);
+    const volAt = (K) => VolSurface.impliedVol(K, slice.T);
+
+    document.getElementById('smile-atm-vol').textContent = (volAt(slice.forward) * 100).toFixed(1) + '%';
+    document.getElementById('smile-strike-vol').textContent = currentStrike
+        ? (volAt(currentStrike) * 100).toFixed(1) + '%'
+        : '--';
+    // Skew: 90% minus 110% of forward, in vol points
+    document.getElementById('smile-skew').textContent =
+        ((volAt(slice.forward * 0.9) - volAt(slice.forward * 1.1)) * 100).toFixed(1) + ' pts';
+    document.getElementById('smile-term').textContent = VolSurface.termStructure()
+        .map(point => `${point.expiration.slice(5)}: ${(point.atmVol * 100).toFixed(1)}%`)
+        .join(' · ');
+
+    drawVolSmile(slice, currentStrike);
+}
+
+/**
+ * Draw market IVs and the fitted SVI curve for one expiration
+ */
+function drawVolSmile(slice, highlightStrike = 0) {
+    const canvas = document.getElementById('smile-chart');
+    if (!canvas) return;
+
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    const colors = PLChart.colors;
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, rect.width, rect.height);
+    if (!slice) return;
+
+    const pad = { top: 15, right: 15, bottom: 30, left: 45 };
+    const width = rect.width - pad.left - pad.right;
+    const height = rect.height - pad.top - pad.bottom;
+
+    const minStrike = slice.points[0].strike;
+    const maxStrike = slice.points[slice.points.length - 1].strike;
+    const fitted = [];
+    for (let i = 0; i <= 100; i++) {
+        const strike = minStrike + (maxStrike - minStrike) * i / 100;
+        fitted.push({ strike, iv: Math.sqrt(Math.max(1e-8, VolSurface.sviTotalVariance(slice.params, Math.log(strike / slice.forward))) / slice.T) });
+    }
+
+    const ivs = slice.points.map(pt => pt.iv).concat(fitted.map(pt => pt.iv));
+    const minIV = Math.min(...ivs) * 0.95;
+    const maxIV = Math.max(...ivs) * 1.05;
+    const x = (strike) => pad.left + (strike - minStrike) / (maxStrike - minStrike) * width;
+    const y = (iv) => pad.top + (1 - (iv - minIV) / (maxIV - minIV)) * height;
+
+    // Market points - puts left of the forward, calls right
+    ctx.globalAlpha = 0.7;
+    slice.points.forEach(pt => {
+        ctx.fillStyle = pt.side === 'put' ? colors.danger : colors.success;
+        ctx.beginPath();
+        ctx.arc(x(pt.strike), y(pt.iv), 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+
+    // Fitted curve
+    ctx.strokeStyle = colors.primary;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    fitted.forEach((pt, i) => {
+        if (i === 0) ctx.moveTo(x(pt.strike), y(pt.iv));
+        else ctx.lineTo(x(pt.strike), y(pt.iv));
+    });
+    ctx.stroke();
+
+    // Selected strike
+    if (highlightStrike >= minStrike && highlightStrike <= maxStrike) {
+        const iv = VolSurface.impliedVol(highlightStrike, slice.T);
+        ctx.strokeStyle = colors.purple;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x(highlightStrike), pad.top);
+        ctx.lineTo(x(highlightStrike), pad.top + height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = colors.purple;
+        ctx.beginPath();
+        ctx.arc(x(highlightStrike), y(iv), 5, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Axis labels
+    ctx.fillStyle = colors.textSecondary;
+    ctx.font = '11px -apple-system, sans-serif';
+    ctx.textAlign = 'left';
+    ctx.fillText('$' + minStrike.toFixed(0), pad.left, rect.height - 10);
+    ctx.textAlign = 'right';
+    ctx.fillText('$' + maxStrike.toFixed(0), rect.width - pad.right, rect.height - 10);
+    ctx.fillText((maxIV * 100).toFixed(0) + '%', pad.left - 5, pad.top + 10);
+    ctx.fillText((minIV * 100).toFixed(0) + '%', pad.left - 5, pad.top + height);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolSurface;
+}
@@ -0,0 +1,301 @@
+/**
+ * Volatility Analytics
+ * Realized volatility of the underlying from daily candles (close-to-close,
+ * Parkinson and Yang-Zhang over several windows) and IV rank / percentile of
+ * the 30-day ATM implied vol against its past year. IV history comes from the
+ * provider when it has one and from daily samples stored in localStorage.
+ */
+
+const VolatilityAnalytics = {
+    windows: [10, 20, 30, 60, 90],
+    tradingDaysPerYear: 252,
+    lookbackDays: 365,          // IV rank / percentile window (calendar days)
+    minHistory: 20,             // IV samples needed before rank means anything
+    targetDte: 30,
+    storageKey: 'iv_history',
+
+    ticker: '',
+    candles: [],
+    realized: null,             // { [window]: { closeToClose, parkinson, yangZhang } }
+    atmIV: null,
+    ivHistory: [],              // [{ date, iv }] ascending
+    contractIV: null,
+    loadId: 0,
+
+    /**
+     * Annualized close-to-close vol of the last n returns
+     */
+    closeToClose(candles, n) {
+        if (candles.length < n + 1) return null;
+        const bars = candles.slice(-(n + 1));
+        const returns = [];
+        for (let i = 1; i < bars.length; i++) {
+            returns.push(Math.log(bars[i].close / bars[i - 1].close));
+        }
+        return Math.sqrt(this.variance(returns) * this.tradingDaysPerYear);
+    },
+
+    /**
+     * Annualized Parkinson (high-low range) vol of the last n bars
+     */
+    parkinson(candles, n) {
+        if (candles.length < n) return null;
+        const sum = candles.slice(-n).reduce((acc, bar) => acc + Math.pow(Math.log(bar.high / bar.low), 2), 0);
+        return Math.sqrt(sum / (4 * Math.LN2 * n) * this.tradingDaysPerYear);
+    },
+
+    /**
+     * Annualized Yang-Zhang vol of the last n bars
+     * Overnight (close-to-open) variance + k * open-to-close variance
+     * + (1 - k) * Rogers-Satchell; handles opening gaps and drift
+     */
+    yangZhang(candles, n) {
+        if (candles.length < n + 1 || n < 2) return null;
+        const bars = candles.slice(-(n + 1));
+        const overnight = [];
+        const openToClose = [];
+        let rogersSatchell = 0;
+
+        for (let i = 1; i < bars.length; i++) {
+            const bar = bars[i];
+            overnight.push(Math.log(bar.open / bars[i - 1].close));
+            openToClose.push(Math.log(bar.close / bar.open));
+            rogersSatchell += Math.log(bar.high / bar.close) * Math.log(bar.high / bar.open) +
+                Math.log(bar.low / bar.close) * Math.log(bar.low / bar.open);
+        }
+
+        const k = 0.34 / (1.34 + (n + 1) / (n - 1));
+        const variance = this.variance(overnight) + k * this.variance(openToClose) + (1 - k) * rogersSatchell / n;
+        return Math.sqrt(Math.max(0, variance) * this.tradingDaysPerYear);
+    },
+
+    /**
+     * Sample variance (n - 1)
+     */
+    variance(values) {
+        const n = values.length;
+        if (n < 2) return 0;
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        return values.reduce((acc, v) => acc + (v - mean) * (v - mean), 0) / (n - 1);
+    },
+
+    /**
+     * Every estimator over every window that the candles cover
+     */
+    computeRealized(candles) {
+        const result = {};
+        this.windows.forEach(n => {
+            result[n] = {
+                closeToClose: this.closeToClose(candles, n),
+                parkinson: this.parkinson(candles, n),
+                yangZhang: this.yangZhang(candles, n)
+            };
+        });
+        return result;
+    },
+
+    /**
+     * IV rank (position between the low and high) and percentile (share of
+     * days below) of an IV within a history
+     * @returns {Object|null} { rank, percentile, low, high, samples }
+     */
+    ivRank(iv, history) {
+        if (!(iv > 0) || history.length < this.minHistory) return null;
+
+        const values = history.map(point => point.iv);
+        const low = Math.min(...values, iv);
+        const high = Math.max(...values, iv);
+        return {
+            rank: high > low ? (iv - low) / (high - low) : 0.5,
+            percentile: values.filter(v => v < iv).length / values.length,
+            low,
+            high,
+            samples: values.length
+        };
+    },
+
+    /**
+     * ATM IV from the chain around the money - the strikes either side of spot,
+     * call and put IVs averaged, then interpolated to spot
+     */
+    atmFromChain(chain, S) {
+        const byStrike = {};
+        chain.forEach(option => {
+            if (!(option.iv > 0)) return;
+            (byStrike[option.strike] = byStrike[option.strike] || []).push(option.iv);
+        });
+
+        const points = Object.keys(byStrike)
+            .map(Number)
+            .sort((a, b) => a - b)
+            .map(strike => ({ strike, iv: byStrike[strike].reduce((a, b) => a + b, 0) / byStrike[strike].length }));
+        if (points.length === 0) return null;
+
+        const below = points.filter(p => p.strike <= S).pop();
+        const above = points.find(p => p.strike >= S);
+        if (!below || !above) return (below || above).iv;
+        if (above.strike === below.strike) return below.iv;
+        const w = (S - below.strike) / (above.strike - below.strike);
+        return below.iv + w * (above.iv - below.iv);
+    },
+
+    /**
+     * Stored daily ATM IV samples for a ticker
+     */
+    storedHistory(ticker) {
+        try {
+            const all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            return Object.entries(all[ticker] || {}).map(([date, iv]) => ({ date, iv }));
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Keep one ATM IV sample per ticker per day (the latest wins)
+     */
+    storeSample(ticker, date, iv) {
+        let all;
+        try {
+            all = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            all = {};
+        }
+
+        const cutoff = MarketCalendar.addDays(date, -this.lookbackDays);
+        const samples = all[ticker] || {};
+        samples[date] = +iv.toFixed(4);
+        Object.keys(samples).forEach(day => { if (day < cutoff) delete samples[day]; });
+        all[ticker] = samples;
+        localStorage.setItem(this.storageKey, JSON.stringify(all));
+    },
+
+    /**
+     * Provider history and stored samples merged by date (stored samples win)
+     */
+    mergeHistory(fetched, stored, today) {
+        const cutoff = MarketCalendar.addDays(today, -this.lookbackDays);
+        const byDate = {};
+        fetched.concat(stored).forEach(point => {
+            // Today's value is the one being ranked - keep it out of its own history
+            if (point.date >= cutoff && point.date < today && point.iv > 0) byDate[point.date] = point.iv;
+        });
+        return Object.keys(byDate).sort().map(date => ({ date, iv: byDate[date] }));
+    },
+
+    /**
+     * Fetch candles, the near-30-day ATM IV and IV history for a ticker
+     * @param {Array} expirations - Listed expirations, used to pick the ATM IV expiry
+     * @param {Object} options - Request options, e.g. { bypass: true } to skip the cache
+     */
+    async load(ticker, S, expirations, options = {}) {
+        const loadId = ++this.loadId;
+        const today = MarketCalendar.etParts(new Date()).date;
+
+        this.ticker = ticker;
+        this.candles = [];
+        this.realized = null;
+        this.atmIV = null;
+        this.ivHistory = [];
+
+        const longest = Math.max(...this.windows);
+        const [candles, atmIV, fetchedHistory] = await Promise.all([
+            // Calendar-day span with room for weekends and holidays
+            MarketData.getCandles(ticker, { from: MarketCalendar.addDays(today, -Math.ceil(longest * 1.6) - 10), to: today }, options)
+                .catch(error => {
+                    console.log('Candles unavailable:', error.message);
+                    return [];
+                }),
+            this.fetchAtmIV(ticker, S, expirations, options).catch(error => {
+                console.log('ATM IV unavailable:', error.message);
+                return null;
+            }),
+            MarketData.getIvHistory(ticker, options).catch(() => [])
+        ]);
+        if (loadId !== this.loadId) return;
+
+        this.candles = candles.filter(bar => bar.open > 0 && bar.high > 0 && bar.low > 0 && bar.close > 0);
+        this.realized = this.candles.length > 1 ? this.computeRealized(this.candles) : null;
+        this.atmIV = atmIV;
+        if (atmIV && typeof localStorage !== 'undefined') {
+            this.storeSample(ticker, today, atmIV);
+        }
+        this.ivHistory = this.mergeHistory(fetchedHistory, typeof localStorage !== 'undefined' ? this.storedHistory(ticker) : [], today);
+        this.render();
+    },
+
+    /**
+     * ATM IV of the expiration nearest 30 days, from the strikes around the money only
+     */
+    async fetchAtmIV(ticker, S, expirations, options = {}) {
+        const candidates = expirations
+            .map(exp => ({ exp, days: MarketCalendar.calendarDays(exp) }))
+            .filter(item => item.days >= 7);
+        if (candidates.length === 0) return null;
+
+        const target = candidates.reduce((best, item) =>
+            Math.abs(item.days - this.targetDte) < Math.abs(best.days - this.targetDte) ? item : best
+        );
+        const chain = await MarketData.getOptionChain(ticker, { expiration: target.exp, strikeLimit: 2 }, options);
+        return this.atmFromChain(chain, S);
+    },
+
+    render() {
+        const fmt = (v) => v !== null && v !== undefined && isFinite(v) ? (v * 100).toFixed(1) + '%' : '--';
+        const table = document.getElementById('hv-table');
+        if (!table) return;
+
+        const iv = this.contractIV;
+        const hv20 = this.realized && this.realized[20] ? this.realized[20].closeToClose : null;
+        const rank = this.ivRank(this.atmIV, this.ivHistory);
+
+        document.getElementById('vol-contract-iv').textContent = fmt(iv);
+        document.getElementById('vol-atm-iv').textContent = fmt(this.atmIV);
+        document.getElementById('vol-iv-hv').textContent = iv && hv20 ? (iv / hv20).toFixed(2) + '×' : '--';
+
+        const rankEl = document.getElementById('vol-iv-rank');
+        const percentileEl = document.getElementById('vol-iv-percentile');
+        const historyEl = document.getElementById('vol-history-note');
+        if (rank) {
+            rankEl.textContent = (rank.rank * 100).toFixed(0);
+            percentileEl.textContent = (rank.percentile * 100).toFixed(0) + '%';
+            historyEl.textContent = `52-week ATM IV range ${fmt(rank.low)} - ${fmt(rank.high)} (${rank.samples} days)`;
+        } else {
+            rankEl.textContent = '--';
+            percentileEl.textContent = '--';
+            historyEl.textContent = this.ticker
+                ? `Building IV history - ${this.ivHistory.length} of ${this.minHistory} days needed for rank`
+                : '';
+        }
+        // High rank: premium is rich relative to the past year; low rank: cheap
+        rankEl.className = rank ? (rank.rank >= 0.5 ? 'rich' : (rank.rank <= 0.2 ? 'cheap' : '')) : '';
+
+        if (!this.realized) {
+            table.innerHTML = this.ticker ? '<tbody><tr><td>No candle data</td></tr></tbody>' : '';
+            return;
+        }
+
+        // Implied minus realized per window - positive means premium sellers are paid over realized moves
+        const spread = (hv) => iv && hv ? ((iv - hv) * 100).toFixed(1) + ' pts' : '--';
+        const header = '<tr><th>Window</th><th>Close-Close</th><th>Parkinson</th><th>Yang-Zhang</th><th>IV - HV</th></tr>';
+        const body = this.windows.map(n => {
+            const hv = this.realized[n];
+            return `<tr><td>${n}d</td><td>${fmt(hv.closeToClose)}</td><td>${fmt(hv.parkinson)}</td>` +
+                `<td>${fmt(hv.yangZhang)}</td><td>${spread(hv.closeToClose)}</td></tr>`;
+        }).join('');
+        table.innerHTML = `<thead>${header}</thead><tbody>${body}</tbody>`;
+    }
+};
+
+/**
+ * Show the selected contract's IV against realized vol
+ */
+function displayVolatilityContext(iv) {
+    VolatilityAnalytics.contractIV = iv;
+    VolatilityAnalytics.render();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VolatilityAnalytics;
+}
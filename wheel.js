@@ -0,0 +1,445 @@
+/**
+ * Wheel Strategy Simulator
+ * Walks historical daily candles selling cash-secured puts until assigned,
+ * then covered calls until called away. Every option is priced with
+ * Black-Scholes at the day's close, on trailing realized vol or the stored
+ * ATM IV history, and the result is compared with buying and holding.
+ */
+
+const WheelSimulator = {
+    defaults: {
+        contracts: 1,
+        strikeMode: 'delta',    // 'delta' or 'otm'
+        putTarget: 0.30,        // |delta|, or fraction out of the money in 'otm' mode
+        callTarget: 0.30,
+        dte: 30,                // calendar days to the expiration sold
+        profitTarget: 0.50,     // buy back once this share of the premium is captured (null = hold)
+        closeAtDte: null,       // buy back with this many days left, then sell the next (null = hold)
+        callsAboveBasis: true,  // never sell a call below the assigned strike
+        volSource: 'realized',  // 'realized' or 'iv' (falls back to realized where IV history is missing)
+        volWindow: 20,
+        rate: null,             // flat quoted risk-free rate for every date (null = today's RateCurve)
+        feePerContract: 0.65,
+        assignmentFee: 0
+    },
+
+    /**
+     * Listed strike spacing for a price level
+     */
+    strikeStep(S) {
+        if (S < 25) return 0.5;
+        if (S < 100) return 1;
+        if (S < 250) return 2.5;
+        return 5;
+    },
+
+    /**
+     * The Friday on or after date + dte, or the session before it on a holiday
+     */
+    expirationFor(date, dte) {
+        let expiration = MarketCalendar.addDays(date, dte);
+        while (MarketCalendar.weekday(expiration) !== 5) {
+            expiration = MarketCalendar.addDays(expiration, 1);
+        }
+        return MarketCalendar.isTradingDay(expiration) ? expiration : MarketCalendar.previousTradingDay(expiration);
+    },
+
+    /**
+     * Volatility for pricing on bar i - stored ATM IV for that date when asked
+     * for, otherwise close-to-close vol over the trailing window
+     */
+    volatility(candles, i, ivByDate, o) {
+        if (o.volSource === 'iv' && ivByDate[candles[i].date] > 0) {
+            return ivByDate[candles[i].date];
+        }
+        return VolatilityAnalytics.closeToClose(candles.slice(0, i + 1), o.volWindow);
+    },
+
+    /**
+     * Continuous rate for pricing - the flat backtest rate when set, otherwise
+     * today's curve at the same tenor (the curve has no history)
+     */
+    rateFor(days, o) {
+        if (o.rate === null || o.rate === undefined) return RateCurve.continuousRate(days);
+        const T = Math.max(days, 1) / 365;
+        return Math.log(1 + o.rate * T) / T;
+    },
+
+    /**
+     * Strike for the next option - the listed strike nearest the target delta
+     * or the target distance out of the money, never below floor
+     */
+    chooseStrike(type, S, T, r, sigma, target, o, floor = 0) {
+        const step = this.strikeStep(S);
+        const minStrike = Math.ceil(floor / step) * step;
+
+        if (o.strikeMode === 'otm') {
+            const raw = type === 'put' ? S * (1 - target) : S * (1 + target);
+            return Math.max(Math.round(raw / step) * step, minStrike);
+        }
+
+        // Out-of-the-money strikes within half the spot either way
+        let best = null;
+        const first = type === 'put' ? Math.floor(S / step) * step : Math.ceil(S / step) * step;
+        for (let k = 0; k < 200; k++) {
+            const strike = type === 'put' ? first - k * step : first + k * step;
+            if (strike <= 0 || Math.abs(strike - S) > S * 0.5) break;
+            if (strike < minStrike) continue;
+
+            const distance = Math.abs(Math.abs(BlackScholes.delta(type, S, strike, T, r, sigma)) - target);
+            if (!best || distance < best.distance) best = { strike, distance };
+        }
+        return best ? best.strike : Math.max(first, minStrike);
+    },
+
+    /**
+     * Peak-to-trough decline of a series, as a fraction of the peak
+     */
+    maxDrawdown(values) {
+        let peak = -Infinity;
+        let worst = 0;
+        values.forEach(v => {
+            peak = Math.max(peak, v);
+            if (peak > 0) worst = Math.max(worst, (peak - v) / peak);
+        });
+        return worst;
+    },
+
+    /**
+     * Run the wheel over the candles
+     * Capital is the first close x 100 x contracts; buy-and-hold buys the
+     * same number of shares with it. Puts are sized to the cash on hand
+     * (floor(cash / (strike x 100))) so the wheel never borrows, calls to
+     * the shares held.
+     * @param {Array} candles - Daily bars { date, open, high, low, close } ascending
+     * @param {Object} options - Overrides for defaults
+     * @param {Array} ivHistory - [{ date, iv }] for volSource 'iv'
+     * @returns {Object|null} null when there are too few candles
+     */
+    simulate(candles, options = {}, ivHistory = []) {
+        const o = Object.assign({}, this.defaults, options);
+        const start = o.volWindow + 1;
+        if (candles.length < start + 2) return null;
+
+        const size = o.contracts * 100;
+        const ivByDate = {};
+        ivHistory.forEach(point => { ivByDate[point.date] = point.iv; });
+
+        const first = candles[start];
+        const initial = first.close * size;
+        let cash = initial;
+        let shares = 0;
+        let basis = null;
+        let option = null;      // { type, strike, expiration, premium, opened, contracts }
+
+        const trades = [];
+        const equity = [];
+        const totals = { premium: 0, buybacks: 0, fees: 0, assignments: 0, calledAway: 0, daysInShares: 0 };
+
+        const fee = (amount) => {
+            cash -= amount;
+            totals.fees += amount;
+        };
+        const close = (bar, exit, cost) => {
+            trades.push({
+                type: option.type,
+                strike: option.strike,
+                opened: option.opened,
+                expiration: option.expiration,
+                closed: bar.date,
+                premium: option.premium,
+                exit,
+                contracts: option.contracts,
+                pl: (option.premium - cost) * option.contracts * 100
+            });
+            option = null;
+        };
+
+        for (let i = start; i < candles.length; i++) {
+            const bar = candles[i];
+            const S = bar.close;
+            const sigma = this.volatility(candles, i, ivByDate, o);
+
+            if (option) {
+                const days = MarketCalendar.daysBetween(bar.date, option.expiration);
+                const optionShares = option.contracts * 100;
+
+                if (days <= 0) {
+                    // Settle at the first close on or after expiration
+                    const intrinsic = BlackScholes.intrinsicValue(option.type, S, option.strike);
+                    if (intrinsic > 0 && option.type === 'put') {
+                        cash -= option.strike * optionShares;
+                        shares += optionShares;
+                        basis = option.strike;
+                        totals.assignments++;
+                        fee(o.assignmentFee);
+                        close(bar, 'assigned', intrinsic);
+                    } else if (intrinsic > 0) {
+                        cash += option.strike * optionShares;
+                        shares -= optionShares;
+                        basis = null;
+                        totals.calledAway++;
+                        fee(o.assignmentFee);
+                        close(bar, 'called away', intrinsic);
+                    } else {
+                        close(bar, 'expired', 0);
+                    }
+                } else if (sigma > 0) {
+                    const T = days / 365;
+                    const value = BlackScholes.price(option.type, S, option.strike, T, this.rateFor(days, o), sigma);
+                    const targetHit = o.profitTarget && value <= option.premium * (1 - o.profitTarget);
+                    const dteHit = o.closeAtDte !== null && days <= o.closeAtDte;
+
+                    if (targetHit || dteHit) {
+                        cash -= value * optionShares;
+                        totals.buybacks += value * optionShares;
+                        fee(o.feePerContract * option.contracts);
+                        close(bar, targetHit ? 'profit target' : 'closed at DTE', value);
+                    }
+                }
+            }
+
+            // Sell the next option straight away - puts on cash, calls on shares
+            if (!option && sigma > 0 && i < candles.length - 1) {
+                const type = shares > 0 ? 'call' : 'put';
+                const expiration = this.expirationFor(bar.date, o.dte);
+                const days = MarketCalendar.daysBetween(bar.date, expiration);
+                const T = days / 365;
+                const r = this.rateFor(days, o);
+                const strike = type === 'put'
+                    ? this.chooseStrike('put', S, T, r, sigma, o.putTarget, o)
+                    : this.chooseStrike('call', S, T, r, sigma, o.callTarget, o, o.callsAboveBasis ? basis : 0);
+                const premium = BlackScholes.price(type, S, strike, T, r, sigma);
+
+                // Secure puts with the cash already held; sit in cash when it can't cover one
+                const contracts = type === 'put'
+                    ? Math.floor(cash / (strike * 100))
+                    : Math.floor(shares / 100);
+
+                if (contracts > 0) {
+                    option = { type, strike, expiration, premium, opened: bar.date, contracts };
+                    cash += premium * contracts * 100;
+                    totals.premium += premium * contracts * 100;
+                    fee(o.feePerContract * contracts);
+                }
+            }
+
+            // Mark to market: cash + shares - the option still owed
+            let optionValue = 0;
+            if (option && sigma > 0) {
+                const days = Math.max(0, MarketCalendar.daysBetween(bar.date, option.expiration));
+                optionValue = days > 0
+                    ? BlackScholes.price(option.type, S, option.strike, days / 365, this.rateFor(days, o), sigma)
+                    : BlackScholes.intrinsicValue(option.type, S, option.strike);
+            }
+            if (shares > 0) totals.daysInShares++;
+            const owed = option ? optionValue * option.contracts * 100 : 0;
+            equity.push({ date: bar.date, wheel: cash + shares * S - owed, buyHold: size * S });
+        }
+
+        const last = equity[equity.length - 1];
+        const years = Math.max(1, MarketCalendar.daysBetween(first.date, last.date)) / 365;
+        const annualize = (final) => final > 0 ? Math.pow(final / initial, 1 / years) - 1 : -1;
+
+        return {
+            initial,
+            start: first.date,
+            end: last.date,
+            equity,
+            trades,
+            openOption: option,
+            totalPremium: totals.premium,
+            netPremium: totals.premium - totals.buybacks - totals.fees,
+            fees: totals.fees,
+            assignments: totals.assignments,
+            calledAway: totals.calledAway,
+            timeInShares: totals.daysInShares / equity.length,
+            wheel: {
+                final: last.wheel,
+                totalReturn: last.wheel / initial - 1,
+                annualized: annualize(last.wheel),
+                maxDrawdown: this.maxDrawdown(equity.map(point => point.wheel))
+            },
+            buyHold: {
+                final: last.buyHold,
+                totalReturn: last.buyHold / initial - 1,
+                annualized: annualize(last.buyHold),
+                maxDrawdown: this.maxDrawdown(equity.map(point => point.buyHold))
+            }
+        };
+    }
+};
+
+/**
+ * Read the wheel rules from the form
+ */
+function readWheelOptions() {
+    const number = (id) => parseFloat(document.getElementById(id).value);
+    const strikeMode = document.getElementById('wheel-strike-mode').value;
+    // Delta targets are entered as deltas, OTM targets as percent
+    const target = (id) => strikeMode === 'otm' ? number(id) / 100 : number(id);
+    const optional = (value) => isFinite(value) && value > 0 ? value : null;
+
+    return {
+        contracts: Math.max(1, parseInt(document.getElementById('yield-contracts').value) || 1),
+        strikeMode,
+        putTarget: target('wheel-put-target') || WheelSimulator.defaults.putTarget,
+        callTarget: target('wheel-call-target') || WheelSimulator.defaults.callTarget,
+        dte: Math.max(1, parseInt(document.getElementById('wheel-dte').value) || WheelSimulator.defaults.dte),
+        profitTarget: optional(number('wheel-profit-target') / 100),
+        closeAtDte: optional(number('wheel-close-dte')),
+        callsAboveBasis: document.getElementById('wheel-above-basis').checked,
+        volSource: document.getElementById('wheel-vol-source').value,
+        rate: isFinite(number('wheel-rate')) ? number('wheel-rate') / 100 : null,
+        feePerContract: ExecutionModel.profile().commission + ExecutionModel.profile().regulatoryFees,
+        assignmentFee: ExecutionModel.profile().assignmentFee
+    };
+}
+
+// Global function for the strike-rule selector - swap the target defaults
+function setWheelStrikeMode(mode) {
+    document.getElementById('wheel-put-target').value = mode === 'otm' ? 5 : 0.30;
+    document.getElementById('wheel-call-target').value = mode === 'otm' ? 5 : 0.30;
+    document.getElementById('wheel-target-unit').textContent = mode === 'otm' ? '% OTM' : 'delta';
+}
+
+// Global function for the Run Wheel button
+async function runWheelSimulation() {
+    const statusEl = document.getElementById('wheel-status');
+
+    if (!currentTicker) {
+        statusEl.textContent = 'Select a ticker first';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    const ticker = currentTicker;
+    const years = parseInt(document.getElementById('wheel-years').value) || 2;
+    const today = MarketCalendar.etParts(new Date()).date;
+    const options = readWheelOptions();
+
+    statusEl.textContent = `Loading ${years} year${years > 1 ? 's' : ''} of ${ticker} candles...`;
+    statusEl.className = 'status-message loading';
+
+    try {
+        const [candles, fetchedHistory] = await Promise.all([
+            MarketData.getCandles(ticker, { from: MarketCalendar.addDays(today, -years * 365 - 45), to: today }),
+            options.volSource === 'iv' ? MarketData.getIvHistory(ticker).catch(() => []) : Promise.resolve([])
+        ]);
+        // Daily ATM IV samples stored by VolatilityAnalytics fill in where the provider has no history
+        const ivHistory = options.volSource === 'iv' && typeof localStorage !== 'undefined'
+            ? fetchedHistory.concat(VolatilityAnalytics.storedHistory(ticker))
+            : fetchedHistory;
+
+        const bars = candles.filter(bar => bar.close > 0);
+        const result = WheelSimulator.simulate(bars, options, ivHistory);
+        if (!result) {
+            statusEl.textContent = `Not enough history for ${ticker} - ${bars.length} candles`;
+            statusEl.className = 'status-message error';
+            return;
+        }
+
+        renderWheelResults(result);
+        statusEl.textContent = `${ticker} ${result.start} to ${result.end}, ${result.trades.length} options sold` +
+            (options.volSource === 'iv' && ivHistory.length === 0 ? ' - no IV history, priced on realized vol' : '') +
+            (options.rate === null ? ' - rates from today\'s curve, not historical rates' : ` - flat ${(options.rate * 100).toFixed(2)}% rate`);
+        statusEl.className = 'status-message success';
+    } catch (error) {
+        console.error('Error running wheel simulation:', error);
+        statusEl.textContent = `Error: ${error.message}`;
+        statusEl.className = 'status-message error';
+    }
+}
+
+/**
+ * Show wheel statistics, the equity curves and the trade log
+ */
+function renderWheelResults(result) {
+    const signed = (v) => (v >= 0 ? '+' : '-') + formatCurrency(Math.abs(v));
+    const percent = (v) => formatYieldPercent(v);
+
+    updateDisplay('wheel-annualized', percent(result.wheel.annualized), result.wheel.annualized >= 0 ? 'positive' : 'negative');
+    updateDisplay('wheel-hold-annualized', percent(result.buyHold.annualized), result.buyHold.annualized >= 0 ? 'positive' : 'negative');
+    updateDisplay('wheel-total-return', signed(result.wheel.final - result.initial));
+    updateDisplay('wheel-hold-return', signed(result.buyHold.final - result.initial));
+    updateDisplay('wheel-drawdown', percent(-result.wheel.maxDrawdown));
+    updateDisplay('wheel-hold-drawdown', percent(-result.buyHold.maxDrawdown));
+    updateDisplay('wheel-premium', formatCurrency(result.totalPremium));
+    updateDisplay('wheel-net-premium', signed(result.netPremium));
+    updateDisplay('wheel-assignments', `${result.assignments} / ${result.calledAway}`);
+    updateDisplay('wheel-time-in-shares', percent(result.timeInShares));
+
+    const log = document.getElementById('wheel-trades');
+    log.innerHTML = `<thead><tr><th>Opened</th><th>Type</th><th>Contracts</th><th>Strike</th><th>Premium</th><th>Closed</th>` +
+        `<th>Exit</th><th>Option P/L</th></tr></thead><tbody>` +
+        result.trades.slice().reverse().map(trade => `<tr><td>${trade.opened}</td><td>${trade.type}</td><td>${trade.contracts}</td>` +
+            `<td>$${trade.strike.toFixed(2)}</td><td>$${trade.premium.toFixed(2)}</td><td>${trade.closed}</td>` +
+            `<td>${trade.exit}</td><td${trade.pl < 0 ? ' class="negative"' : ''}>${signed(trade.pl)}</td></tr>`).join('') +
+        '</tbody>';
+
+    drawWheelEquity(result.equity);
+}
+
+/**
+ * Draw the wheel and buy-and-hold equity curves
+ */
+function drawWheelEquity(equity) {
+    const canvas = document.getElementById('wheel-chart');
+    if (!canvas || equity.length < 2) return;
+
+    const rect = canvas.parentElement.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + 'px';
+    canvas.style.height = rect.height + 'px';
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+
+    const colors = PLChart.colors;
+    const pad = { top: 15, right: 15, bottom: 30, left: 70 };
+    const width = rect.width - pad.left - pad.right;
+    const height = rect.height - pad.top - pad.bottom;
+
+    const values = equity.flatMap(point => [point.wheel, point.buyHold]);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const span = max - min || 1;
+    const x = (i) => pad.left + (i / (equity.length - 1)) * width;
+    const y = (v) => pad.top + height - ((v - min) / span) * height;
+
+    ctx.fillStyle = colors.background;
+    ctx.fillRect(0, 0, rect.width, rect.height);
+
+    const line = (key, color, dashed) => {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [6, 4] : []);
+        ctx.beginPath();
+        equity.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(x(i), y(point[key]));
+            else ctx.lineTo(x(i), y(point[key]));
+        });
+        ctx.stroke();
+    };
+    line('buyHold', colors.purple, true);
+    line('wheel', colors.primary, false);
+    ctx.setLineDash([]);
+
+    // Value axis at the ends, dates along the bottom
+    ctx.fillStyle = colors.textSecondary;
+    ctx.font = '11px -apple-system, sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(formatCurrency(max), pad.left - 6, pad.top + 8);
+    ctx.fillText(formatCurrency(min), pad.left - 6, pad.top + height);
+    ctx.textAlign = 'left';
+    ctx.fillText(equity[0].date, pad.left, rect.height - 10);
+    ctx.textAlign = 'right';
+    ctx.fillText(equity[equity.length - 1].date, rect.width - pad.right, rect.height - 10);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WheelSimulator;
+}
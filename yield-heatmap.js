@@ -0,0 +1,268 @@
+/**
+ * Yield Heatmap
+ * Annualized seller's yield across every listed expiration (columns) by
+ * strike or delta bucket (rows). Chains load one expiration at a time so the
+ * matrix fills in progressively; liquidity and delta filters re-render
+ * without refetching.
+ */
+
+const YieldHeatmap = {
+    ticker: '',
+    side: '',
+    spot: 0,
+    expirations: [],
+    chains: {},         // expiration -> contracts, or null while loading / on failure
+    failed: {},
+    loadId: 0,
+    loading: false,
+
+    rowMode: 'strike',  // 'strike' or 'delta'
+    deltaBucketWidth: 0.05,
+
+    filters: {
+        minOpenInterest: 0,
+        maxSpreadPercent: 0.5,  // (ask - bid) / mid
+        minDelta: 0.05,
+        maxDelta: 0.5
+    },
+
+    /**
+     * Load chains for each expiration in turn, rendering after every one
+     * @param {Function} onProgress - Called with (loaded, total) after each expiration
+     */
+    async load(ticker, side, S, expirations, onProgress = null) {
+        const loadId = ++this.loadId;
+
+        this.ticker = ticker;
+        this.side = side;
+        this.spot = S;
+        this.expirations = expirations.filter(exp => !MarketCalendar.timeToExpiry(exp).expired);
+        this.chains = {};
+        this.failed = {};
+        this.loading = true;
+        this.render();
+
+        try {
+            for (let i = 0; i < this.expirations.length; i++) {
+                const expiration = this.expirations[i];
+
+                try {
+                    const chain = await MarketData.getOptionChain(ticker, { expiration, side });
+                    // A newer load (or stop) started while this request was out
+                    if (loadId !== this.loadId) return;
+                    this.chains[expiration] = this.buildContracts(chain, S, MarketCalendar.timeToExpiry(expiration));
+                } catch (error) {
+                    if (loadId !== this.loadId) return;
+                    // Retrying the rest cannot help with a bad token or an exhausted quota
+                    if (error.kind === 'auth' || error.kind === 'rate-limit') throw error;
+                    console.log(`Heatmap chain failed for ${expiration}:`, error.message);
+                    this.failed[expiration] = true;
+                }
+
+                this.render();
+                if (onProgress) onProgress(i + 1, this.expirations.length);
+            }
+        } finally {
+            if (loadId === this.loadId) this.loading = false;
+        }
+    },
+
+    stop() {
+        this.loadId++;
+        this.loading = false;
+    },
+
+    /**
+     * Yield and liquidity figures for each contract of one expiration
+     */
+    buildContracts(chain, S, expiry) {
+        const r = RateCurve.continuousRate(expiry.calendarDays);
+
+        return chain
+            .filter(option => option.side === this.side && option.strike > 0)
+            .map(option => {
+                const bid = option.bid || 0;
+                const ask = option.ask || 0;
+                const mid = option.mid || (bid + ask) / 2;
+                const metrics = computeYieldMetrics(S, option.strike, expiry, mid, option.side);
+
+                // Feed delta when present, otherwise Black-Scholes on the feed or solved IV
+                const delta = BlackScholes.chainDelta(option, mid, S, expiry.calendarT, r);
+
+                return {
+                    strike: option.strike,
+                    bid,
+                    ask,
+                    mid,
+                    delta: delta !== null ? Math.abs(delta) : null,
+                    openInterest: option.openInterest || 0,
+                    spreadPercent: mid > 0 ? (ask - bid) / mid : Infinity,
+                    annualizedYield: metrics ? metrics.annualizedYield : null,
+                    periodYield: metrics ? metrics.periodYield : null
+                };
+            })
+            .filter(contract => contract.annualizedYield !== null);
+    },
+
+    passes(contract) {
+        const f = this.filters;
+        if (contract.openInterest < f.minOpenInterest) return false;
+        if (contract.spreadPercent > f.maxSpreadPercent) return false;
+        // Contracts without a delta only survive when the range is left wide open
+        if (contract.delta === null) return f.minDelta <= 0 && f.maxDelta >= 1;
+        return contract.delta >= f.minDelta && contract.delta <= f.maxDelta;
+    },
+
+    /**
+     * Row definitions for the current mode - each has a label and a cell lookup
+     */
+    buildRows() {
+        const loaded = this.expirations.filter(exp => this.chains[exp]);
+
+        if (this.rowMode === 'delta') {
+            const width = this.deltaBucketWidth;
+            const rows = [];
+            for (let low = Math.floor(this.filters.minDelta / width) * width; low < this.filters.maxDelta - 1e-9; low += width) {
+                const high = low + width;
+                const center = low + width / 2;
+                rows.push({
+                    label: `${Math.round(low * 100)}-${Math.round(high * 100)}Δ`,
+                    // Contract nearest the middle of the bucket
+                    cell: (exp) => (this.chains[exp] || [])
+                        .filter(c => this.passes(c) && c.delta !== null && c.delta >= low && c.delta < high)
+                        .reduce((best, c) => !best || Math.abs(c.delta - center) < Math.abs(best.delta - center) ? c : best, null)
+                });
+            }
+            return rows;
+        }
+
+        // Only strikes with at least one contract that survives the filters
+        const strikes = new Set();
+        loaded.forEach(exp => this.chains[exp].forEach(c => { if (this.passes(c)) strikes.add(c.strike); }));
+
+        return [...strikes].sort((a, b) => this.side === 'put' ? b - a : a - b).map(strike => ({
+            label: '$' + strike.toFixed(2),
+            strike,
+            cell: (exp) => (this.chains[exp] || []).find(c => c.strike === strike && this.passes(c)) || null
+        }));
+    },
+
+    render() {
+        const table = document.getElementById('heatmap-table');
+        if (!table) return;
+
+        if (this.expirations.length === 0) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const header = this.expirations.map(exp => {
+            const dte = MarketCalendar.timeToExpiry(exp).dte;
+            // Flag expirations that live through earnings (E) or an ex-dividend date (D)
+            const events = this.ticker === EventCalendar.ticker ? EventCalendar.eventsBefore(exp) : [];
+            const markers = ['earnings', 'dividend']
+                .filter(type => events.some(e => e.type === type))
+                .map(type => `<span class="event-marker ${type}">${type === 'earnings' ? 'E' : 'D'}</span>`)
+                .join('');
+            const title = events.length ? ` title="${events.map(e => EventCalendar.describe(e)).join(', ')}"` : '';
+            return `<th${title}>${exp.slice(5)}${markers}<span class="heatmap-dte">${dte}d</span></th>`;
+        }).join('');
+
+        const rows = this.buildRows().map(row => {
+            const atm = row.strike !== undefined && Math.abs(row.strike - this.spot) / this.spot < 0.01;
+            const cells = this.expirations.map(exp => {
+                if (this.failed[exp]) return '<td class="unavailable">!</td>';
+                if (!this.chains[exp]) return '<td class="pending">&hellip;</td>';
+
+                const c = row.cell(exp);
+                if (!c) return '<td class="empty"></td>';
+
+                const selected = this.ticker === currentTicker && this.side === currentOptionType &&
+                    exp === currentExpiration && c.strike === currentStrike;
+                const title = `${exp} $${c.strike.toFixed(2)} ${this.side} | mid $${c.mid.toFixed(2)} | ` +
+                    `delta ${c.delta !== null ? c.delta.toFixed(2) : '--'} | OI ${c.openInterest.toLocaleString()} | ` +
+                    `spread ${(c.spreadPercent * 100).toFixed(0)}% | period ${formatYieldPercent(c.periodYield)}`;
+
+                return `<td class="${yieldColorClass(c.annualizedYield)}${selected ? ' selected' : ''}" title="${title}" ` +
+                    `onclick="selectHeatmapCell('${exp}', ${c.strike})">${(c.annualizedYield * 100).toFixed(0)}%</td>`;
+            }).join('');
+
+            return `<tr${atm ? ' class="atm"' : ''}><th>${row.label}</th>${cells}</tr>`;
+        }).join('');
+
+        const corner = this.rowMode === 'delta' ? '|Delta|' : 'Strike';
+        table.innerHTML = `<thead><tr><th>${corner}</th>${header}</tr></thead><tbody>${rows}</tbody>`;
+    }
+};
+
+// Global function for the load button
+async function loadYieldHeatmap() {
+    const statusEl = document.getElementById('heatmap-status');
+
+    if (!currentTicker || !currentStockPrice || expirationDates.length === 0) {
+        statusEl.textContent = 'Select a ticker first';
+        statusEl.className = 'status-message error';
+        return;
+    }
+
+    readHeatmapFilters();
+    statusEl.textContent = `Loading ${currentOptionType} chains...`;
+    statusEl.className = 'status-message loading';
+
+    try {
+        await YieldHeatmap.load(currentTicker, currentOptionType, currentStockPrice, expirationDates, (loaded, total) => {
+            statusEl.textContent = loaded < total ? `Loaded ${loaded} of ${total} expirations...` : `Loaded ${total} expirations`;
+            statusEl.className = loaded < total ? 'status-message loading' : 'status-message success';
+        });
+
+        const failures = Object.keys(YieldHeatmap.failed).length;
+        if (failures > 0) {
+            statusEl.textContent = `${failures} expiration${failures > 1 ? 's' : ''} failed to load (marked !)`;
+            statusEl.className = 'status-message error';
+        }
+    } catch (error) {
+        console.error('Error loading heatmap:', error);
+        statusEl.textContent = `Error: ${error.message}`;
+        statusEl.className = 'status-message error';
+    }
+}
+
+// Global function for the stop button - keeps whatever has loaded
+function stopYieldHeatmap() {
+    if (!YieldHeatmap.loading) return;
+    YieldHeatmap.stop();
+    YieldHeatmap.render();
+
+    const statusEl = document.getElementById('heatmap-status');
+    statusEl.textContent = 'Stopped';
+    statusEl.className = 'status-message';
+}
+
+function readHeatmapFilters() {
+    const value = (id, fallback) => {
+        const parsed = parseFloat(document.getElementById(id).value);
+        return isNaN(parsed) ? fallback : parsed;
+    };
+
+    YieldHeatmap.filters = {
+        minOpenInterest: value('heatmap-min-oi', 0),
+        maxSpreadPercent: value('heatmap-max-spread', Infinity) / 100,
+        minDelta: value('heatmap-min-delta', 0),
+        maxDelta: value('heatmap-max-delta', 1)
+    };
+    YieldHeatmap.rowMode = document.getElementById('heatmap-rows').value;
+}
+
+// Global function for filter and row-mode changes
+function applyHeatmapFilters() {
+    readHeatmapFilters();
+    YieldHeatmap.render();
+}
+
+// Global function for cell clicks
+async function selectHeatmapCell(expiration, strike) {
+    if (YieldHeatmap.ticker !== currentTicker) return;
+
+    await selectContract(YieldHeatmap.side, expiration, strike);
+    YieldHeatmap.render();
+}